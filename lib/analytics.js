@@ -0,0 +1,110 @@
+// lib/analytics.js
+import { ALL_STATUSES, STATUS } from "./deliveryState.js";
+import { decodeGeohash } from "./geo.js";
+import { LOCAL_UTC_OFFSET_MIN, addDays, localDate } from "./ledger.js";
+
+/* --------------------------------- Analytics ---------------------------------
+   รวมตัวเลขภาพรวมจาก delivery / delivery_assignment ของช่วงวันที่ (ตามวันที่สร้าง delivery)
+   ฟังก์ชันในไฟล์นี้รับข้อมูลที่แปลงแล้ว (เวลาเป็น epoch ms) — server.js เป็นคนอ่าน Firestore
+
+   ระยะเวลาแต่ละช่วงใช้ createdAt / updatedAt ที่มีอยู่แล้ว
+     create → accept : assignment แรกของงาน.createdAt − delivery.createdAt
+     accept → finish : assignment ที่ finish.updatedAt − assignment นั้น.createdAt
+   (assignment ที่ finish แล้วไม่ถูกแก้อีก → updatedAt = เวลา finish)
+-------------------------------------------------------------------------------- */
+const MS_PER_MIN = 60_000;
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/** สถิติของระยะเวลา (ms) เป็นนาที — ไม่มีข้อมูล → ค่าเป็น null */
+export function durationStats(msList) {
+  const xs = msList.filter(ms => Number.isFinite(ms) && ms >= 0).sort((a, b) => a - b);
+  if (!xs.length) return { count: 0, avg_minutes: null, median_minutes: null, p90_minutes: null };
+
+  const at = (q) => xs[Math.min(xs.length - 1, Math.ceil(q * xs.length) - 1)];
+  return {
+    count: xs.length,
+    avg_minutes: round1(xs.reduce((sum, ms) => sum + ms, 0) / xs.length / MS_PER_MIN),
+    median_minutes: round1(at(0.5) / MS_PER_MIN),
+    p90_minutes: round1(at(0.9) / MS_PER_MIN),
+  };
+}
+
+/**
+ * จำนวน delivery ต่อวัน แยกตามสถานะปัจจุบัน (ทุกวันในช่วง รวมวันที่เป็น 0, เก่า → ใหม่)
+ * @param {{ status:string, createdAt:number }[]} deliveries
+ */
+export function deliveriesPerDay(deliveries, { from, to, utcOffsetMin = LOCAL_UTC_OFFSET_MIN }) {
+  const empty = () => ({ total: 0, by_status: Object.fromEntries(ALL_STATUSES.map(st => [st, 0])) });
+  const days = new Map();
+  for (let day = from; day <= to; day = addDays(day, 1)) days.set(day, empty());
+  const totals = empty();
+
+  for (const d of deliveries) {
+    const bucket = days.get(localDate(d.createdAt, utcOffsetMin));
+    if (!bucket) continue;
+    for (const b of [bucket, totals]) {
+      b.total += 1;
+      if (d.status in b.by_status) b.by_status[d.status] += 1;
+    }
+  }
+  return { totals, items: [...days.entries()].map(([date, b]) => ({ date, ...b })) };
+}
+
+/**
+ * ระยะเวลาเฉลี่ยของแต่ละช่วง (ดูหัวไฟล์)
+ * @param {{ delivery_id:number, createdAt:number }[]} deliveries
+ * @param {{ delivery_id:number, status:string, createdAt:number, updatedAt:number }[]} assignments
+ */
+export function stageDurations(deliveries, assignments) {
+  const firstAccept = new Map();
+  for (const a of assignments) {
+    const prev = firstAccept.get(a.delivery_id);
+    if (prev == null || a.createdAt < prev) firstAccept.set(a.delivery_id, a.createdAt);
+  }
+
+  return {
+    create_to_accept: durationStats(deliveries
+      .filter(d => firstAccept.has(d.delivery_id))
+      .map(d => firstAccept.get(d.delivery_id) - d.createdAt)),
+    accept_to_finish: durationStats(assignments
+      .filter(a => a.status === STATUS.FINISH)
+      .map(a => a.updatedAt - a.createdAt)),
+  };
+}
+
+/**
+ * งานที่ไรเดอร์แต่ละคนส่งสำเร็จ + เวลาเฉลี่ย accept → finish (มากสุดก่อน)
+ * @returns {{ rider_id:number, completed:number, accept_to_finish:object }[]}
+ */
+export function riderPerformance(assignments) {
+  const byRider = new Map();
+  for (const a of assignments) {
+    if (a.status !== STATUS.FINISH) continue;
+    if (!byRider.has(a.rider_id)) byRider.set(a.rider_id, []);
+    byRider.get(a.rider_id).push(a.updatedAt - a.createdAt);
+  }
+  return [...byRider.entries()]
+    .map(([rider_id, durations]) => ({ rider_id, completed: durations.length, accept_to_finish: durationStats(durations) }))
+    .sort((a, b) => b.completed - a.completed || a.rider_id - b.rider_id);
+}
+
+/**
+ * พื้นที่รับของที่มีงานมากสุด — จัดกลุ่มตาม geohash ของจุดรับของ (delivery.pickup_geohash) ที่ precision นี้
+ * @param {(string|null)[]} geohashes geohash ของจุดรับของ (ไม่มีพิกัด = null ไม่นับ)
+ * @returns {{ geohash:string, lat:number, lng:number, deliveries:number }[]}
+ */
+export function busiestAreas(geohashes, { precision, limit }) {
+  const counts = new Map();
+  for (const gh of geohashes) {
+    if (!gh || gh.length < precision) continue;
+    const cell = gh.slice(0, precision);
+    counts.set(cell, (counts.get(cell) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+    .slice(0, limit)
+    .map(([geohash, deliveries]) => {
+      const { lat, lng } = decodeGeohash(geohash);
+      return { geohash, lat: Math.round(lat * 1e5) / 1e5, lng: Math.round(lng * 1e5) / 1e5, deliveries };
+    });
+}
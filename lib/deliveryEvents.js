@@ -0,0 +1,31 @@
+// lib/deliveryEvents.js
+import { EventEmitter } from "node:events";
+
+/* ------------------------------- Delivery events -------------------------------
+   pub/sub ในโปรเซส แยกตาม delivery_id — route ที่เขียนสถานะ/พิกัด publish หลัง commit
+   แล้ว GET /delivery/:id/stream (SSE) ส่งต่อให้ client ที่ subscribe อยู่
+   หมายเหตุ: อยู่ในหน่วยความจำของ instance เดียว ถ้า scale หลาย instance ต้องเปลี่ยนเป็น broker
+-------------------------------------------------------------------------------- */
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // หนึ่ง delivery มีได้หลาย subscriber (ผู้ส่ง/ผู้รับ/ไรเดอร์ หลายเครื่อง)
+
+const channel = (deliveryId) => `delivery:${Number(deliveryId)}`;
+
+/**
+ * @param {number} deliveryId
+ * @param {"status"|"location"|"message"|"read"} type
+ * @param {object} data
+ */
+export function publishDeliveryEvent(deliveryId, type, data) {
+  emitter.emit(channel(deliveryId), {
+    type,
+    data: { delivery_id: Number(deliveryId), ...data, at: new Date().toISOString() },
+  });
+}
+
+/** @returns {() => void} ฟังก์ชันยกเลิกการ subscribe */
+export function subscribeDelivery(deliveryId, listener) {
+  const ch = channel(deliveryId);
+  emitter.on(ch, listener);
+  return () => emitter.off(ch, listener);
+}
@@ -0,0 +1,37 @@
+// lib/deliveryPin.js
+import crypto from "node:crypto";
+
+/* --------------------------------- Delivery PIN ---------------------------------
+   PIN สั้น ๆ ที่สร้างตอน /delivery/create และแสดงให้ผู้รับเท่านั้น
+   ไรเดอร์ต้องขอ PIN จากผู้รับตอนส่งของ แล้วส่งมากับ /deliveries/update-status-finish
+   - ใส่ผิดครบ PIN_MAX_ATTEMPTS ครั้ง → ล็อก ใช้ PIN ไม่ได้อีก (เหลือทาง override: รูป + เหตุผล)
+   - เก็บแยก collection delivery_pin (ไม่อยู่ใน delivery) กันหลุดไปกับเส้นที่คืน delivery ทั้งก้อน
+-------------------------------------------------------------------------------- */
+export const PIN_LENGTH = 4;
+export const PIN_MAX_ATTEMPTS = Number(process.env.DELIVERY_PIN_MAX_ATTEMPTS || 5);
+
+export const PIN_PATTERN = new RegExp(`^\\d{${PIN_LENGTH}}$`);
+
+export function generatePin() {
+  return String(crypto.randomInt(0, 10 ** PIN_LENGTH)).padStart(PIN_LENGTH, "0");
+}
+
+/**
+ * ตรวจ PIN หนึ่งครั้ง (ไม่เขียนอะไร — ผู้เรียกบันทึก attempts / locked เอง)
+ * @param {{ pin:string, attempts?:number, locked?:boolean }} stored เอกสาร delivery_pin
+ * @param {string} given
+ * @returns {{ ok:boolean, attempts:number, locked:boolean, attempts_left:number }}
+ */
+export function checkPinAttempt(stored, given) {
+  const before = Number(stored.attempts || 0);
+  if (stored.locked) return { ok: false, attempts: before, locked: true, attempts_left: 0 };
+
+  const a = Buffer.from(String(stored.pin));
+  const b = Buffer.from(String(given));
+  const ok = a.length === b.length && crypto.timingSafeEqual(a, b);
+  if (ok) return { ok: true, attempts: before, locked: false, attempts_left: PIN_MAX_ATTEMPTS - before };
+
+  const attempts = before + 1;
+  const locked = attempts >= PIN_MAX_ATTEMPTS;
+  return { ok: false, attempts, locked, attempts_left: Math.max(PIN_MAX_ATTEMPTS - attempts, 0) };
+}
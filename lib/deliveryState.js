@@ -0,0 +1,104 @@
+// lib/deliveryState.js
+import { BadRequestError, ConflictError, ForbiddenError } from "./errors.js";
+
+/* ---------------------------- Delivery state machine ----------------------------
+   สถานะของ delivery และใครเปลี่ยนจากสถานะไหนไปสถานะไหนได้ — ทุกเส้นต้องผ่านที่นี่
+
+     (create) ──► waiting ──► accept ──► transporting ──► finish
+                    │  ▲         │
+                    │  └─────────┘ (rider release)
+                    ▼
+                cancelled
+
+   actor = ความสัมพันธ์ของผู้เรียกกับ delivery ("sender" | "rider" | "admin")
+   admin เป็น override: เปลี่ยนไปสถานะใดก็ได้ (ต้องมีเหตุผล — ตรวจที่ route)
+-------------------------------------------------------------------------------- */
+export const STATUS = Object.freeze({
+  WAITING: "waiting",
+  ACCEPT: "accept",
+  TRANSPORTING: "transporting",
+  FINISH: "finish",
+  CANCELLED: "cancelled",
+});
+
+export const ALL_STATUSES = Object.freeze(Object.values(STATUS));
+
+/** สถานะที่ยังมีไรเดอร์ถืองานอยู่ */
+export const ACTIVE_STATUSES = Object.freeze([STATUS.ACCEPT, STATUS.TRANSPORTING]);
+
+// from → { to: [actors ที่ทำได้] }   (null = ตอนสร้าง delivery)
+const TRANSITIONS = {
+  null: { [STATUS.WAITING]: ["sender"] },
+  [STATUS.WAITING]: {
+    [STATUS.ACCEPT]: ["rider"],
+    [STATUS.CANCELLED]: ["sender"],
+  },
+  [STATUS.ACCEPT]: {
+    [STATUS.TRANSPORTING]: ["rider"],
+    [STATUS.WAITING]: ["rider"],
+  },
+  [STATUS.TRANSPORTING]: {
+    [STATUS.FINISH]: ["rider"],
+  },
+  [STATUS.FINISH]: {},
+  [STATUS.CANCELLED]: {},
+};
+
+/** true ถ้า actor เปลี่ยนจาก from → to ได้ */
+export function canTransition(from, to, actor) {
+  if (!ALL_STATUSES.includes(to)) return false;
+  if (actor === "admin") return true;
+  const allowed = TRANSITIONS[from ?? null]?.[to];
+  return Array.isArray(allowed) && allowed.includes(actor);
+}
+
+/**
+ * โยน error ถ้าเปลี่ยนสถานะไม่ได้
+ * - 400 UNKNOWN_STATUS            : ไม่รู้จักสถานะปลายทาง
+ * - 409 DELIVERY_NOT_<STATUS>     : ปลายทางนี้ไปได้จากสถานะเดียว แต่ตอนนี้ไม่ได้อยู่สถานะนั้น
+ *                                   (เช่นรับงานที่ไม่ใช่ waiting → DELIVERY_NOT_WAITING)
+ * - 409 INVALID_STATUS_TRANSITION : กรณีอื่นที่ไปต่อแบบนี้ไม่ได้
+ * - 403 STATUS_CHANGE_FORBIDDEN   : เปลี่ยนได้ แต่ไม่ใช่ actor นี้
+ */
+export function assertTransition(from, to, actor) {
+  if (!ALL_STATUSES.includes(to)) {
+    throw new BadRequestError("UNKNOWN_STATUS", `unknown delivery status '${to}'`, { status: to });
+  }
+  if (canTransition(from, to, actor)) return;
+
+  const details = { from: from ?? null, to, actor };
+  const allowed = TRANSITIONS[from ?? null]?.[to];
+  if (Array.isArray(allowed)) {
+    throw new ForbiddenError("STATUS_CHANGE_FORBIDDEN", `${actor} cannot move delivery from '${from}' to '${to}'`, details);
+  }
+
+  const sources = Object.keys(TRANSITIONS).filter(f => f !== "null" && TRANSITIONS[f][to]);
+  const code = sources.length === 1 ? `DELIVERY_NOT_${sources[0].toUpperCase()}` : "INVALID_STATUS_TRANSITION";
+  throw new ConflictError(code, `Delivery cannot move from '${from}' to '${to}'`, details);
+}
+
+/**
+ * เอกสาร status_history หนึ่งรายการ (เขียนใน transaction/batch เดียวกับการเปลี่ยนสถานะ)
+ * @param {object} p
+ * @param {number} p.delivery_id
+ * @param {string|null} p.from
+ * @param {string} p.to
+ * @param {{ user_id:number, kind:string }} p.actor
+ * @param {number|null} [p.lat]
+ * @param {number|null} [p.lng]
+ * @param {string|null} [p.reason]
+ * @param {*} p.timestamp  ปกติ = FieldValue.serverTimestamp()
+ */
+export function historyEntry({ delivery_id, from, to, actor, lat = null, lng = null, reason = null, timestamp }) {
+  return {
+    delivery_id: Number(delivery_id),
+    from: from ?? null,
+    to,
+    actor_id: actor?.user_id ?? null,
+    actor_kind: actor?.kind ?? null,
+    lat: lat == null ? null : Number(lat),
+    lng: lng == null ? null : Number(lng),
+    reason: reason == null ? null : String(reason),
+    createdAt: timestamp,
+  };
+}
@@ -0,0 +1,99 @@
+// lib/errors.js
+
+/* ------------------------------------ Errors ------------------------------------
+   error ที่ตั้งใจโยนทุกตัวเป็น AppError: status (HTTP) + code (สตริงคงที่) + details
+   ทุกเส้นตอบ error ด้วยรูปเดียวกัน:
+     { error: { code: "DELIVERY_NOT_WAITING", message: "...", details: {...} | [...] | null } }
+   - code    : แอปใช้ switch ได้ ห้ามเปลี่ยนชื่อ (เพิ่มใหม่ได้)
+   - message : ภาษาอังกฤษ ไว้ debug / log ไม่ใช่ข้อความแสดงผู้ใช้
+   error อื่นที่ไม่ได้ตั้งใจ (bug / Firestore ล่ม) → 500 INTERNAL_ERROR และ log ไว้ที่ server
+-------------------------------------------------------------------------------- */
+export class AppError extends Error {
+  /**
+   * @param {number} status HTTP status
+   * @param {string} code   เช่น "DELIVERY_NOT_FOUND"
+   * @param {string} message
+   * @param {object|Array|null} [details]
+   */
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class BadRequestError extends AppError {
+  constructor(code, message, details) { super(400, code, message, details); }
+}
+
+/** body / params / query ไม่ตรง schema — details = [{ field, message }] */
+export class ValidationError extends AppError {
+  constructor(issues, message = issues.map(i => `${i.field} ${i.message}`).join("; ")) {
+    super(400, "VALIDATION_FAILED", message, issues);
+  }
+}
+
+export class UnauthorizedError extends AppError {
+  constructor(code, message, details) { super(401, code, message, details); }
+}
+
+export class ForbiddenError extends AppError {
+  constructor(code, message, details) { super(403, code, message, details); }
+}
+
+export class NotFoundError extends AppError {
+  constructor(code, message, details) { super(404, code, message, details); }
+}
+
+export class ConflictError extends AppError {
+  constructor(code, message, details) { super(409, code, message, details); }
+}
+
+export class PayloadTooLargeError extends AppError {
+  constructor(code, message, details) { super(413, code, message, details); }
+}
+
+export class UnsupportedMediaTypeError extends AppError {
+  constructor(code, message, details) { super(415, code, message, details); }
+}
+
+export class TooManyRequestsError extends AppError {
+  constructor(code, message, details) { super(429, code, message, details); }
+}
+
+export class InternalError extends AppError {
+  constructor(code, message, details) { super(500, code, message, details); }
+}
+
+// error จาก express.json() / urlencoded() → AppError
+function fromBodyParser(err) {
+  if (err?.type === "entity.too.large") {
+    return new PayloadTooLargeError("PAYLOAD_TOO_LARGE", "request body is too large", { limit: err.limit });
+  }
+  if (err?.type === "entity.parse.failed") {
+    return new BadRequestError("INVALID_JSON", "request body is not valid JSON");
+  }
+  return null;
+}
+
+/** ส่ง error ในรูป envelope มาตรฐาน — ใช้ใน catch ของทุก route */
+export function sendError(res, err) {
+  const e = err instanceof AppError ? err : fromBodyParser(err);
+  if (!e) {
+    console.error(err);
+    return res.status(500).json({
+      error: { code: "INTERNAL_ERROR", message: "internal server error", details: null },
+    });
+  }
+  return res.status(e.status).json({
+    error: { code: e.code, message: e.message, details: e.details ?? null },
+  });
+}
+
+/** express error middleware (วางท้ายสุด) — รับ error ที่หลุดมาจาก middleware ต่าง ๆ */
+export function errorHandler(err, _req, res, next) {
+  if (res.headersSent) return next(err);
+  return sendError(res, err);
+}
@@ -0,0 +1,66 @@
+// lib/eta.js
+import { pathDistanceKm } from "./geo.js";
+
+/* ------------------------------------- ETA -------------------------------------
+   ประมาณเวลาถึงจากระยะเส้นตรง + ความเร็วล่าสุดของไรเดอร์ (จาก rider_track)
+   ถ้าไม่มีข้อมูลความเร็วพอ ใช้ความเร็วเฉลี่ยในเมืองตาม car_type
+   ทุก client ต้องได้ตัวเลขเดียวกัน → คำนวณที่ server เท่านั้น
+-------------------------------------------------------------------------------- */
+
+// ความเร็วเฉลี่ยในเมือง (km/h) ต่อชนิดรถ
+export const VEHICLE_SPEED_KMH = Object.freeze({
+  bicycle: 12,
+  motorbike: 30,
+  car: 25,
+  pickup: 22,
+  truck: 20,
+});
+const DEFAULT_SPEED_KMH = 25;
+
+// ถนนจริงยาวกว่าเส้นตรงประมาณนี้
+const ROAD_FACTOR = 1.3;
+
+// หน้าต่างเวลาที่ใช้คิดความเร็วล่าสุด
+export const RECENT_WINDOW_MS = 10 * 60 * 1000;
+const MIN_SPAN_MS = 30 * 1000;
+
+export function vehicleSpeedKmh(carType) {
+  const key = String(carType || "").trim().toLowerCase();
+  return VEHICLE_SPEED_KMH[key] ?? DEFAULT_SPEED_KMH;
+}
+
+/**
+ * ความเร็วเฉลี่ยจากจุด track ล่าสุด
+ * @param {{lat:number,lng:number,t:number}[]} points t = epoch ms, เรียงตามเวลาแล้ว
+ * @returns {number|null} km/h หรือ null ถ้าข้อมูลไม่พอ
+ */
+export function recentSpeedKmh(points, now = Date.now()) {
+  const recent = points.filter(p => Number.isFinite(p.t) && now - p.t <= RECENT_WINDOW_MS);
+  if (recent.length < 2) return null;
+
+  const spanMs = recent[recent.length - 1].t - recent[0].t;
+  if (spanMs < MIN_SPAN_MS) return null;
+  return pathDistanceKm(recent) / (spanMs / 3_600_000);
+}
+
+/**
+ * @param {object} p
+ * @param {number} p.distance_km ระยะเส้นตรงถึงเป้าหมาย
+ * @param {number|null} p.recent_speed_kmh
+ * @param {string|null} p.car_type
+ * @returns {{ eta_minutes:number, speed_kmh:number, speed_source:"recent"|"vehicle" }}
+ */
+export function estimateEta({ distance_km, recent_speed_kmh, car_type }) {
+  const base = vehicleSpeedKmh(car_type);
+
+  // ความเร็วล่าสุดอาจเพี้ยน (ติดไฟแดง / GPS กระโดด) → บีบให้อยู่ในช่วง 0.5x–1.5x ของค่าเฉลี่ยรถ
+  let speed = base;
+  let speed_source = "vehicle";
+  if (recent_speed_kmh != null && recent_speed_kmh > 0) {
+    speed = Math.min(Math.max(recent_speed_kmh, base * 0.5), base * 1.5);
+    speed_source = "recent";
+  }
+
+  const eta_minutes = Math.ceil(((distance_km * ROAD_FACTOR) / speed) * 60);
+  return { eta_minutes, speed_kmh: Math.round(speed * 10) / 10, speed_source };
+}
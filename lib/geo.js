@@ -0,0 +1,146 @@
+// lib/geo.js
+
+/* ------------------------------------ Geo ------------------------------------
+   ระยะทาง (haversine) + geohash สำหรับค้นหาตามรัศมีบน Firestore
+   - user_address เก็บ geohash (precision 10) ไว้ตอนสร้าง
+   - geohashQueryPrefixes() คืน prefix ที่ครอบวงกลมรัศมีที่ต้องการ
+     → query ด้วย where("geohash", ">=", p).where("geohash", "<=", p + "")
+     แล้วค่อยกรองด้วยระยะจริงอีกรอบ
+------------------------------------------------------------------------------- */
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEG_LAT = 111.32;
+
+export const GEOHASH_PRECISION = 10;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+/** true ถ้า lat/lng เป็นตัวเลขในช่วงที่ถูกต้อง */
+export function isValidLatLng(lat, lng) {
+  return lat != null && lng != null && lat !== "" && lng !== ""
+    && Number.isFinite(Number(lat)) && Number.isFinite(Number(lng))
+    && Math.abs(Number(lat)) <= 90 && Math.abs(Number(lng)) <= 180;
+}
+
+/** ระยะทางเส้นตรงบนผิวโลก (km) */
+export function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+export function encodeGeohash(lat, lng, precision = GEOHASH_PRECISION) {
+  let latMin = -90, latMax = 90, lngMin = -180, lngMax = 180;
+  let hash = "";
+  let bit = 0, ch = 0, even = true;
+
+  while (hash.length < precision) {
+    if (even) {
+      const mid = (lngMin + lngMax) / 2;
+      if (lng >= mid) { ch = (ch << 1) | 1; lngMin = mid; } else { ch <<= 1; lngMax = mid; }
+    } else {
+      const mid = (latMin + latMax) / 2;
+      if (lat >= mid) { ch = (ch << 1) | 1; latMin = mid; } else { ch <<= 1; latMax = mid; }
+    }
+    even = !even;
+    if (++bit === 5) {
+      hash += BASE32[ch];
+      bit = 0; ch = 0;
+    }
+  }
+  return hash;
+}
+
+/** จุดกึ่งกลางของ cell geohash → { lat, lng } */
+export function decodeGeohash(hash) {
+  let latMin = -90, latMax = 90, lngMin = -180, lngMax = 180;
+  let even = true;
+
+  for (const c of String(hash)) {
+    const ch = BASE32.indexOf(c);
+    if (ch < 0) throw new Error(`invalid geohash character '${c}'`);
+    for (let bit = 4; bit >= 0; bit--) {
+      const on = (ch >> bit) & 1;
+      if (even) {
+        const mid = (lngMin + lngMax) / 2;
+        if (on) lngMin = mid; else lngMax = mid;
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (on) latMin = mid; else latMax = mid;
+      }
+      even = !even;
+    }
+  }
+  return { lat: (latMin + latMax) / 2, lng: (lngMin + lngMax) / 2 };
+}
+
+/** ขนาด cell (องศา) ของ geohash ที่ precision นี้ */
+function cellSizeDeg(precision) {
+  const bits = precision * 5;
+  const lngBits = Math.ceil(bits / 2);
+  const latBits = Math.floor(bits / 2);
+  return { dLat: 180 / 2 ** latBits, dLng: 360 / 2 ** lngBits };
+}
+
+const wrapLng = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+const clampLat = (lat) => Math.max(-90, Math.min(90, lat));
+
+/**
+ * prefix geohash ที่ครอบวงกลม (center, radiusKm) ทั้งหมด
+ * เลือก precision ที่ cell ใหญ่กว่ารัศมี แล้วเอา cell กลาง + 8 cell รอบ ๆ
+ */
+export function geohashQueryPrefixes(lat, lng, radiusKm) {
+  const radLat = radiusKm / KM_PER_DEG_LAT;
+  const radLng = radiusKm / (KM_PER_DEG_LAT * Math.max(Math.cos(toRad(lat)), 0.01));
+
+  let precision = 1;
+  for (let p = GEOHASH_PRECISION; p >= 1; p--) {
+    const { dLat, dLng } = cellSizeDeg(p);
+    if (dLat >= radLat && dLng >= radLng) { precision = p; break; }
+  }
+
+  const { dLat, dLng } = cellSizeDeg(precision);
+  const prefixes = new Set();
+  for (const dy of [-1, 0, 1]) {
+    for (const dx of [-1, 0, 1]) {
+      prefixes.add(encodeGeohash(clampLat(lat + dy * dLat), wrapLng(lng + dx * dLng), precision));
+    }
+  }
+  return [...prefixes];
+}
+
+/** ความยาวรวมของเส้นทาง [{lat,lng}, ...] (km) */
+export function pathDistanceKm(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += distanceKm(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+  }
+  return total;
+}
+
+/** Google encoded polyline (precision 5) — ใช้วาดเส้นบนแผนที่ฝั่ง client ได้ตรง ๆ */
+export function encodePolyline(points) {
+  let prevLat = 0, prevLng = 0;
+  let out = "";
+
+  const encodeValue = (v) => {
+    let n = v < 0 ? ~(v << 1) : v << 1;
+    let chunk = "";
+    while (n >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (n & 0x1f)) + 63);
+      n >>= 5;
+    }
+    return chunk + String.fromCharCode(n + 63);
+  };
+
+  for (const p of points) {
+    const lat = Math.round(p.lat * 1e5);
+    const lng = Math.round(p.lng * 1e5);
+    out += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+  return out;
+}
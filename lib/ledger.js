@@ -0,0 +1,125 @@
+// lib/ledger.js
+
+/* ------------------------------------ Ledger ------------------------------------
+   บันทึกว่าใครเป็นหนี้ใครเท่าไร — เขียนตอน delivery เป็น finish (ใน batch เดียวกับสถานะ)
+   amount มีเครื่องหมายจากมุมของเจ้าของบัญชี (+ ได้รับ / − จ่ายหรือค้างจ่าย)
+
+     account   kind            amount
+     sender    delivery_fee    −price.total                       ค่าส่งที่ผู้ส่งจ่าย
+     platform  commission      +price.total × commission_rate     ส่วนแบ่งแพลตฟอร์ม
+     rider     rider_earning   +price.total − commission          รายได้ไรเดอร์
+     rider     cod_collected   −cod_amount                        เงินปลายทางที่ไรเดอร์ถือไว้ (ค้างส่งต่อ)
+     sender    cod_receivable  +cod_amount                        เงินปลายทางที่ผู้ส่งจะได้รับ
+
+   id ของ entry = <delivery_id>-<kind> → finish ซ้ำ (admin override) เขียนทับ ไม่เกิดรายการซ้ำ
+   delivery ที่ถูกย้ายออกจาก finish → entry ถูก void (ไม่ลบ) และไม่ถูกนับในสรุป
+-------------------------------------------------------------------------------- */
+export const PLATFORM_COMMISSION_RATE = Number(process.env.PLATFORM_COMMISSION_RATE ?? 0.15);
+
+// เวลาท้องถิ่นที่ใช้ตัดวัน/สัปดาห์ในสรุป (default UTC+7)
+export const LOCAL_UTC_OFFSET_MIN = Number(process.env.LOCAL_UTC_OFFSET_MIN ?? 7 * 60);
+
+export const ENTRY_KIND = Object.freeze({
+  DELIVERY_FEE: "delivery_fee",
+  COMMISSION: "commission",
+  RIDER_EARNING: "rider_earning",
+  COD_COLLECTED: "cod_collected",
+  COD_RECEIVABLE: "cod_receivable",
+});
+
+export const PERIODS = Object.freeze(["day", "week"]);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * entry ที่ต้องเขียนตอน delivery finish
+ * @param {object} p
+ * @param {object} p.delivery ข้อมูล delivery (ใช้ delivery_id, user_id_sender, price, cod_amount)
+ * @param {number} p.rider_id ไรเดอร์ที่ส่งงานนี้
+ * @returns {{ id:string, delivery_id:number, account:string, user_id:number|null, kind:string, amount:number, currency:string }[]}
+ */
+export function finishEntries({ delivery, rider_id, commission_rate = PLATFORM_COMMISSION_RATE }) {
+  const delivery_id = Number(delivery.delivery_id);
+  const sender = Number(delivery.user_id_sender);
+  const rider = Number(rider_id);
+  const currency = delivery.price?.currency ?? "THB";
+  const entry = (account, user_id, kind, amount) => ({
+    id: `${delivery_id}-${kind}`, delivery_id, account, user_id, kind, amount: round2(amount), currency,
+  });
+
+  const out = [];
+  const total = Number(delivery.price?.total);
+  if (Number.isFinite(total) && total > 0) {      // งานเก่าก่อนมีราคา → ไม่มีค่าส่ง
+    const commission = round2(total * commission_rate);
+    out.push(
+      entry("sender", sender, ENTRY_KIND.DELIVERY_FEE, -total),
+      entry("platform", null, ENTRY_KIND.COMMISSION, commission),
+      entry("rider", rider, ENTRY_KIND.RIDER_EARNING, total - commission),
+    );
+  }
+
+  const cod = Number(delivery.cod_amount || 0);
+  if (cod > 0) {
+    out.push(
+      entry("rider", rider, ENTRY_KIND.COD_COLLECTED, -cod),
+      entry("sender", sender, ENTRY_KIND.COD_RECEIVABLE, cod),
+    );
+  }
+  return out;
+}
+
+/** วันที่ท้องถิ่น "YYYY-MM-DD" ของเวลา ms */
+export function localDate(ms, utcOffsetMin = LOCAL_UTC_OFFSET_MIN) {
+  return new Date(ms + utcOffsetMin * 60_000).toISOString().slice(0, 10);
+}
+
+/** วันแรกของช่วง ("day" = วันนั้น, "week" = วันจันทร์ของสัปดาห์) */
+export function periodStart(dateStr, period) {
+  if (period !== "week") return dateStr;
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  const sinceMonday = (d.getUTCDay() + 6) % 7;
+  d.setUTCDate(d.getUTCDate() - sinceMonday);
+  return d.toISOString().slice(0, 10);
+}
+
+/** บวก/ลบวันของ "YYYY-MM-DD" */
+export function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * รวม entry เป็นรายวัน/รายสัปดาห์
+ * @param {{ kind:string, amount:number, delivery_id:number, createdAt:number }[]} entries createdAt = epoch ms
+ * @param {object} opts
+ * @param {"day"|"week"} opts.period
+ * @param {string} opts.from "YYYY-MM-DD" (รวม)
+ * @param {string} opts.to   "YYYY-MM-DD" (รวม)
+ * @param {string[]} opts.kinds kind ที่นับ (field ในผลลัพธ์ = ชื่อ kind, ค่าเป็นบวกเสมอ)
+ * @returns {{ totals:object, items:object[] }} items เรียงใหม่ → เก่า
+ */
+export function summarizeByPeriod(entries, { period, from, to, kinds, utcOffsetMin = LOCAL_UTC_OFFSET_MIN }) {
+  const empty = () => Object.fromEntries([["deliveries", new Set()], ...kinds.map(k => [k, 0])]);
+  const buckets = new Map();
+  const totals = empty();
+
+  for (const e of entries) {
+    if (!kinds.includes(e.kind)) continue;
+    const day = localDate(e.createdAt, utcOffsetMin);
+    if (day < from || day > to) continue;
+
+    const key = periodStart(day, period);
+    if (!buckets.has(key)) buckets.set(key, empty());
+    for (const b of [buckets.get(key), totals]) {
+      b.deliveries.add(e.delivery_id);
+      b[e.kind] = round2(b[e.kind] + Math.abs(e.amount));
+    }
+  }
+
+  const finish = (b) => ({ ...b, deliveries: b.deliveries.size });
+  const items = [...buckets.entries()]
+    .sort((a, b) => (a[0] < b[0] ? 1 : -1))
+    .map(([period_start, b]) => ({ period_start, ...finish(b) }));
+  return { totals: finish(totals), items };
+}
@@ -0,0 +1,82 @@
+// lib/notifier.js
+
+/* ---------------------------------- Notifier ----------------------------------
+   ส่ง push notification ไปยังเครื่องของผู้ใช้ — เลือก driver ด้วย ENV
+   - NOTIFIER_DRIVER=fcm    : Firebase Cloud Messaging ผ่าน firebase-admin (โปรดักชัน)
+   - NOTIFIER_DRIVER=memory : เก็บข้อความที่ "ส่ง" ไว้ในหน่วยความจำ ใช้ตอน dev / ทดสอบ
+                              (ดูได้ที่ GET /admin/notifications/sent)
+   ไม่ตั้ง NOTIFIER_DRIVER → fcm เมื่อ NODE_ENV=production ไม่งั้น memory
+   (server.js log driver ที่เลือกตอนเริ่ม — staging ที่ลืมตั้ง ENV จะเห็นว่าเป็น memory)
+
+   ทุก driver มีหน้าตาเดียวกัน:
+     send(tokens, { title, body, data }) → Promise<{ success_count, invalid_tokens }>
+   invalid_tokens = token ที่ FCM บอกว่าใช้ไม่ได้แล้ว (ผู้เรียกควรลบทิ้ง)
+-------------------------------------------------------------------------------- */
+const FCM_MAX_TOKENS = 500;   // ต่อหนึ่ง sendEachForMulticast
+
+// error ที่แปลว่า token ตายแล้ว (แอปถูกลบ / token หมดอายุ) — error อื่นถือว่าชั่วคราว
+const INVALID_TOKEN_CODES = new Set([
+  "messaging/registration-token-not-registered",
+  "messaging/invalid-registration-token",
+]);
+
+// FCM รับ data เป็น string ล้วน
+function stringifyData(data = {}) {
+  return Object.fromEntries(
+    Object.entries(data).filter(([, val]) => val != null).map(([k, val]) => [k, String(val)])
+  );
+}
+
+export function createFcmNotifier({ messaging }) {
+  return {
+    driver: "fcm",
+    async send(tokens, { title, body, data }) {
+      let success_count = 0;
+      const invalid_tokens = [];
+      for (let i = 0; i < tokens.length; i += FCM_MAX_TOKENS) {
+        const chunk = tokens.slice(i, i + FCM_MAX_TOKENS);
+        const res = await messaging.sendEachForMulticast({
+          tokens: chunk,
+          notification: { title, body },
+          data: stringifyData(data),
+        });
+        success_count += res.successCount;
+        res.responses.forEach((r, idx) => {
+          if (!r.success && INVALID_TOKEN_CODES.has(r.error?.code)) invalid_tokens.push(chunk[idx]);
+        });
+      }
+      return { success_count, invalid_tokens };
+    },
+  };
+}
+
+export function createMemoryNotifier({ max = 200 } = {}) {
+  const sent = [];
+  return {
+    driver: "memory",
+    sent,
+    async send(tokens, { title, body, data }) {
+      sent.push({ tokens: [...tokens], title, body, data: stringifyData(data), at: new Date().toISOString() });
+      if (sent.length > max) sent.splice(0, sent.length - max);
+      return { success_count: tokens.length, invalid_tokens: [] };
+    },
+    clear() {
+      sent.length = 0;
+    },
+  };
+}
+
+/** driver ที่จะใช้ + ตั้งเองหรือได้จากค่าเริ่มต้น (ดูหัวไฟล์) */
+export function notifierDriverFromEnv(env = process.env) {
+  if (env.NOTIFIER_DRIVER) return { driver: env.NOTIFIER_DRIVER, source: "NOTIFIER_DRIVER" };
+  return { driver: env.NODE_ENV === "production" ? "fcm" : "memory", source: `default for NODE_ENV=${env.NODE_ENV || "(unset)"}` };
+}
+
+/** เลือก driver ตาม ENV (ดูหัวไฟล์) */
+export function createNotifierFromEnv(admin, env = process.env) {
+  const { driver } = notifierDriverFromEnv(env);
+
+  if (driver === "fcm") return createFcmNotifier({ messaging: admin.messaging() });
+  if (driver === "memory") return createMemoryNotifier();
+  throw new Error(`unknown NOTIFIER_DRIVER '${driver}'`);
+}
@@ -0,0 +1,161 @@
+// lib/pagination.js
+import admin from "firebase-admin";
+import { ValidationError } from "./errors.js";
+
+/* --------------------------------- Pagination ---------------------------------
+   ทุก list endpoint ใช้ limit + cursor แบบเดียวกัน
+   - เรียง updatedAt desc, doc id desc (คงที่ แม้ updatedAt ซ้ำกัน)
+   - cursor = base64url ของตำแหน่งเอกสารสุดท้ายในหน้า (client ห้ามแกะ ให้ส่งกลับมาตามนั้น)
+   - มี composite index → query ตรง ๆ ด้วย orderBy + startAfter
+     ไม่มี index (FAILED_PRECONDITION) → ดึงทั้งชุดแล้วเรียง/ตัดหน้าในโค้ด (ผลลัพธ์เหมือนกัน)
+   - เอกสารที่ไม่มี updatedAt (ข้อมูลเก่า): orderBy("updatedAt") ข้ามเอกสารพวกนี้ → โหมด index ไม่เห็น
+     (โหมด in-memory ต่อท้ายสุด เรียง doc id desc) — รัน POST /admin/backfill-updated-at หนึ่งครั้งหลัง deploy
+     ไม่ไล่หาเอกสารพวกนี้ตอน query เพราะหน้าสุดท้ายจะต้องอ่านทั้ง collection ทุกครั้ง
+-------------------------------------------------------------------------------- */
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+export function encodeCursor(pos) {
+  return Buffer.from(JSON.stringify(pos)).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  let pos = null;
+  try {
+    pos = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+  } catch {
+    // ตกไปโยน error ด้านล่าง
+  }
+  if (isOffsetPosition(pos) || isKeyPosition(pos)) return pos;
+  throw invalidCursor();
+}
+
+// { o } จาก paginateArray
+function isOffsetPosition(pos) {
+  return pos != null && typeof pos === "object" && Number.isInteger(pos.o) && pos.o >= 0;
+}
+
+// { s, n, id } จาก positionOf — s / n เป็นเลขทั้งคู่ หรือ null ทั้งคู่ (เอกสารไม่มี updatedAt)
+function isKeyPosition(pos) {
+  if (pos == null || typeof pos !== "object" || typeof pos.id !== "string" || !pos.id) return false;
+  if (pos.s === null && pos.n === null) return true;
+  return Number.isInteger(pos.s) && Number.isInteger(pos.n) && pos.n >= 0 && pos.n < 1e9;
+}
+
+function invalidCursor() {
+  return new ValidationError([{ field: "cursor", message: "is invalid" }]);
+}
+
+/**
+ * อ่าน limit / cursor จาก query (หรือ body สำหรับเส้น POST)
+ * @returns {{ limit:number, cursor:object|null }}
+ */
+export function parsePageParams(src = {}, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) {
+  let limit = defaultLimit;
+  if (src.limit != null && src.limit !== "") {
+    limit = Number(src.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new ValidationError([{ field: "limit", message: "must be a positive integer" }]);
+    }
+    limit = Math.min(limit, maxLimit);
+  }
+  const cursor = src.cursor ? decodeCursor(src.cursor) : null;
+  return { limit, cursor };
+}
+
+// ---- ตำแหน่งของเอกสารตามลำดับ (updatedAt desc, id desc) ----
+function positionOf(doc) {
+  const ts = doc.get("updatedAt");
+  return ts && typeof ts.toMillis === "function"
+    ? { s: ts.seconds, n: ts.nanoseconds, id: doc.id }
+    : { s: null, n: null, id: doc.id };
+}
+
+// <0 ถ้า a มาก่อน b ในผลลัพธ์
+function comparePositions(a, b) {
+  if (a.s !== b.s) {
+    if (a.s == null) return 1;
+    if (b.s == null) return -1;
+    return b.s - a.s;
+  }
+  if (a.n !== b.n) return (b.n ?? 0) - (a.n ?? 0);
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+function isMissingIndex(err) {
+  return err?.code === 9 || /FAILED_PRECONDITION|requires an index/i.test(String(err?.message || ""));
+}
+
+/**
+ * ดึงหนึ่งหน้าของ query
+ * @param {FirebaseFirestore.Query} query  query ที่ใส่ where แล้ว (ห้าม orderBy/limit)
+ * @param {object} opts
+ * @param {number} opts.limit
+ * @param {object|null} opts.cursor  ค่าที่ได้จาก parsePageParams
+ * @param {(doc) => boolean} [opts.filter]  กรองเพิ่มในโค้ด (เช่นฟิลด์ที่ query ไม่ได้)
+ * @returns {Promise<{ docs: FirebaseFirestore.QueryDocumentSnapshot[], next_cursor: string|null, indexed: boolean }>}
+ */
+export async function paginateQuery(query, { limit, cursor = null, filter = null }) {
+  if (cursor && !isKeyPosition(cursor)) throw invalidCursor();
+
+  try {
+    return await paginateIndexed(query, { limit, cursor, filter });
+  } catch (err) {
+    if (!isMissingIndex(err)) throw err;
+    return paginateInMemory(query, { limit, cursor, filter });
+  }
+}
+
+async function paginateIndexed(query, { limit, cursor, filter }) {
+  // cursor ชี้เอกสารไม่มี updatedAt (ได้จากโหมด in-memory) = อยู่ท้ายสุดแล้ว
+  if (cursor && cursor.s == null) return pageOf([], limit, true);
+
+  const docId = admin.firestore.FieldPath.documentId();
+  const batchSize = limit + 1;
+  const out = [];
+  let after = cursor;
+  for (;;) {
+    let q = query.orderBy("updatedAt", "desc").orderBy(docId, "desc");
+    if (after) q = q.startAfter(new admin.firestore.Timestamp(after.s, after.n), after.id);
+    const snap = await q.limit(batchSize).get();
+    for (const doc of snap.docs) {
+      if (!filter || filter(doc)) out.push(doc);
+    }
+    if (out.length > limit || snap.size < batchSize) break;
+    after = positionOf(snap.docs[snap.docs.length - 1]);
+  }
+  return pageOf(out, limit, true);
+}
+
+async function paginateInMemory(query, { limit, cursor, filter }) {
+  const snap = await query.get();
+  const docs = snap.docs
+    .filter(doc => !filter || filter(doc))
+    .map(doc => ({ doc, pos: positionOf(doc) }))
+    .sort((a, b) => comparePositions(a.pos, b.pos))
+    .filter(x => !cursor || comparePositions(cursor, x.pos) < 0)
+    .map(x => x.doc);
+
+  return pageOf(docs, limit, false);
+}
+
+function pageOf(docs, limit, indexed) {
+  const page = docs.slice(0, limit);
+  const next_cursor = docs.length > limit ? encodeCursor(positionOf(page[page.length - 1])) : null;
+  return { docs: page, next_cursor, indexed };
+}
+
+/**
+ * หน้าของ array ที่เรียงในโค้ดแล้ว (เช่นเรียงตามระยะทาง) — cursor เก็บ offset
+ * @returns {{ items: any[], next_cursor: string|null }}
+ */
+export function paginateArray(items, { limit, cursor = null }) {
+  let offset = 0;
+  if (cursor) {
+    if (!isOffsetPosition(cursor)) throw invalidCursor();
+    offset = cursor.o;
+  }
+  const page = items.slice(offset, offset + limit);
+  const next = offset + limit;
+  return { items: page, next_cursor: next < items.length ? encodeCursor({ o: next }) : null };
+}
@@ -0,0 +1,61 @@
+// lib/password.js
+import crypto from "node:crypto";
+
+/* ------------------------------ Password hashing ------------------------------
+   เก็บรหัสผ่านเป็น scrypt (salt ต่อผู้ใช้) ในรูปแบบ
+     scrypt$<N>$<r>$<p>$<salt base64>$<hash base64>
+   ค่า cost อยู่ในสตริงเอง เพื่อปรับ N ทีหลังได้โดยไม่ทำให้ hash เก่าใช้ไม่ได้
+------------------------------------------------------------------------------- */
+const PREFIX = "scrypt";
+const N = 16384;
+const R = 8;
+const P = 1;
+const KEY_LEN = 64;
+const SALT_LEN = 16;
+
+function scryptAsync(password, salt, keylen, opts) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keylen, opts, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+}
+
+/** true ถ้าค่าที่เก็บอยู่เป็น hash แล้ว (ไม่ใช่ plaintext แบบเดิม) */
+export function isPasswordHash(stored) {
+  return typeof stored === "string" && stored.startsWith(`${PREFIX}$`) && stored.split("$").length === 6;
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LEN);
+  const key = await scryptAsync(String(password), salt, KEY_LEN, { N, r: R, p: P });
+  return [PREFIX, N, R, P, salt.toString("base64"), key.toString("base64")].join("$");
+}
+
+/**
+ * ตรวจรหัสผ่านกับค่าที่เก็บไว้
+ * - ถ้าเป็น hash → เทียบด้วย scrypt
+ * - ถ้าเป็น plaintext (ข้อมูลเก่า) → เทียบตรง ๆ และบอกให้ผู้เรียก re-hash
+ * @returns {Promise<{ ok: boolean, needsRehash: boolean }>}
+ */
+export async function verifyPassword(password, stored) {
+  if (stored == null) return { ok: false, needsRehash: false };
+
+  if (!isPasswordHash(stored)) {
+    const ok = timingSafeEqualStr(String(password), String(stored));
+    return { ok, needsRehash: ok };
+  }
+
+  const [, n, r, p, saltB64, hashB64] = stored.split("$");
+  const expected = Buffer.from(hashB64, "base64");
+  const key = await scryptAsync(String(password), Buffer.from(saltB64, "base64"), expected.length, {
+    N: Number(n), r: Number(r), p: Number(p),
+  });
+  const ok = crypto.timingSafeEqual(key, expected);
+  const needsRehash = ok && (Number(n) !== N || Number(r) !== R || Number(p) !== P);
+  return { ok, needsRehash };
+}
+
+function timingSafeEqualStr(a, b) {
+  const ha = crypto.createHash("sha256").update(a).digest();
+  const hb = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
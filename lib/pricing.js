@@ -0,0 +1,106 @@
+// lib/pricing.js
+import { CAR_TYPES, canCarry } from "./vehicles.js";
+
+/* ----------------------------------- Pricing -----------------------------------
+   ค่าส่ง = max(ค่าเริ่มต้น + ระยะถนน × ราคาต่อกม., ขั้นต่ำ) ของชนิดรถ
+            + ค่าขนาดพัสดุ + ค่าชิ้นที่เกิน 1 ชิ้น
+            แล้วคูณ night.multiplier ถ้าสร้างงานช่วงกลางคืน (ตามเวลาท้องถิ่น)
+   - ชนิดรถ = รถที่เล็กที่สุดที่รับพัสดุนี้ได้ (lib/vehicles.js)
+   - ระยะถนน ≈ ระยะเส้นตรงระหว่างที่อยู่ผู้ส่ง/ผู้รับ × road_factor
+   - ปรับราคาได้ด้วย ENV PRICING_RULES (JSON) — merge ทับค่า default ทีละ key
+     เช่น PRICING_RULES='{"vehicles":{"motorbike":{"per_km":9}},"night":{"multiplier":1.3}}'
+-------------------------------------------------------------------------------- */
+export const DEFAULT_PRICING_RULES = Object.freeze({
+  currency: "THB",
+  road_factor: 1.3,
+  vehicles: {
+    bicycle: { base_fare: 20, per_km: 6, minimum: 30 },
+    motorbike: { base_fare: 25, per_km: 8, minimum: 40 },
+    car: { base_fare: 60, per_km: 12, minimum: 100 },
+    pickup: { base_fare: 120, per_km: 18, minimum: 200 },
+    truck: { base_fare: 300, per_km: 30, minimum: 500 },
+  },
+  size_surcharge: { small: 0, medium: 10, large: 40, xlarge: 100 },
+  per_extra_item: 5,
+  // start_hour–end_hour (ข้ามเที่ยงคืนได้) ตามเวลาท้องถิ่น UTC + utc_offset_min
+  night: { start_hour: 22, end_hour: 6, multiplier: 1.2, utc_offset_min: 7 * 60 },
+});
+
+function isPlainObject(x) {
+  return x != null && typeof x === "object" && !Array.isArray(x);
+}
+
+function merge(base, over) {
+  if (!isPlainObject(base) || !isPlainObject(over)) return over === undefined ? base : over;
+  const out = { ...base };
+  for (const [k, val] of Object.entries(over)) out[k] = merge(base[k], val);
+  return out;
+}
+
+/** กติการาคาจาก ENV (PRICING_RULES) ทับค่า default — JSON ผิดรูปแบบ → โยน error ตอนเริ่ม server */
+export function loadPricingRules(env = process.env) {
+  if (!env.PRICING_RULES) return DEFAULT_PRICING_RULES;
+  let over;
+  try {
+    over = JSON.parse(env.PRICING_RULES);
+  } catch (err) {
+    throw new Error(`PRICING_RULES is not valid JSON: ${err.message}`);
+  }
+  return merge(DEFAULT_PRICING_RULES, over);
+}
+
+/** รถที่เล็กที่สุดที่รับพัสดุนี้ได้ (CAR_TYPES เรียงเล็ก → ใหญ่) */
+export function smallestVehicleFor(parcel) {
+  return CAR_TYPES.find(t => canCarry(t, parcel).ok) ?? null;
+}
+
+export function isNightTime(at, { start_hour, end_hour, utc_offset_min = 0 }) {
+  const minutes = (at.getUTCHours() * 60 + at.getUTCMinutes() + utc_offset_min + 24 * 60) % (24 * 60);
+  const hour = Math.floor(minutes / 60);
+  return start_hour <= end_hour
+    ? hour >= start_hour && hour < end_hour
+    : hour >= start_hour || hour < end_hour;
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * คำนวณค่าส่ง
+ * @param {object} p
+ * @param {number} p.distance_km ระยะเส้นตรงระหว่างจุดรับ/จุดส่ง
+ * @param {number} p.amount      จำนวนชิ้น
+ * @param {number} p.weight_kg
+ * @param {string} p.size_class
+ * @param {Date}   [p.at]        เวลาที่ใช้ตัดสินค่ากลางคืน
+ * @param {object} [rules]
+ * @returns {object|null} รายละเอียดราคา หรือ null ถ้าไม่มีรถชนิดไหนรับได้
+ */
+export function quotePrice({ distance_km, amount = 1, weight_kg, size_class, at = new Date() }, rules = DEFAULT_PRICING_RULES) {
+  const car_type = smallestVehicleFor({ weight_kg, size_class });
+  const vehicle = car_type && rules.vehicles[car_type];
+  if (!vehicle) return null;
+
+  const road_km = round2(distance_km * rules.road_factor);
+  const base_fare = vehicle.base_fare;
+  const distance_fare = round2(road_km * vehicle.per_km);
+  const trip = Math.max(base_fare + distance_fare, vehicle.minimum);
+  const size_surcharge = rules.size_surcharge[size_class] ?? 0;
+  const item_surcharge = Math.max(Number(amount) - 1, 0) * rules.per_extra_item;
+
+  const subtotal = trip + size_surcharge + item_surcharge;
+  const night = isNightTime(at, rules.night);
+  const night_surcharge = night ? round2(subtotal * (rules.night.multiplier - 1)) : 0;
+
+  return {
+    currency: rules.currency,
+    car_type,
+    distance_km: road_km,
+    base_fare,
+    distance_fare,
+    minimum_applied: base_fare + distance_fare < vehicle.minimum,
+    size_surcharge,
+    item_surcharge,
+    night_surcharge,
+    total: Math.ceil(subtotal + night_surcharge),   // ปัดขึ้นเป็นบาท
+  };
+}
@@ -0,0 +1,30 @@
+// lib/rateLimit.js
+
+/* --------------------------------- Rate limit ---------------------------------
+   นับจำนวนครั้งต่อ key (เช่น IP) ในหน้าต่างเวลาคงที่
+   หมายเหตุ: อยู่ในหน่วยความจำของ instance เดียว ถ้า scale หลาย instance ต้องย้ายไปเก็บที่ร่วมกัน
+-------------------------------------------------------------------------------- */
+const PRUNE_AT = 10_000;   // key ค้างเกินนี้ → ล้างตัวที่หมดหน้าต่างแล้ว
+
+export function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();   // key -> { count, resetAt }
+
+  return {
+    /**
+     * นับหนึ่งครั้งของ key
+     * @returns {{ ok:boolean, remaining:number, retry_after_s:number }}
+     */
+    hit(key, now = Date.now()) {
+      if (windows.size >= PRUNE_AT) {
+        for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+      }
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { count: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      w.count += 1;
+      return { ok: w.count <= max, remaining: Math.max(0, max - w.count), retry_after_s: Math.ceil((w.resetAt - now) / 1000) };
+    },
+  };
+}
@@ -0,0 +1,67 @@
+// lib/storage.js
+import fs from "node:fs/promises";
+import path from "node:path";
+
+/* ---------------------------------- Storage ----------------------------------
+   ที่เก็บไฟล์รูป (อัปโหลดผ่าน POST /uploads) — เลือก driver ด้วย ENV
+   - STORAGE_DRIVER=local    : เก็บลงดิสก์ที่ UPLOAD_DIR (default ./uploads) ใช้ตอน dev
+                               เสิร์ฟที่ /uploads/files/<key> (ต่อหน้าด้วย PUBLIC_BASE_URL ถ้ามี)
+   - STORAGE_DRIVER=firebase : Firebase Storage bucket FIREBASE_STORAGE_BUCKET (โปรดักชัน)
+   ไม่ตั้ง STORAGE_DRIVER → ใช้ firebase ถ้ามี FIREBASE_STORAGE_BUCKET ไม่งั้น local
+
+   ทุก driver มีหน้าตาเดียวกัน:
+     save(key, buffer, contentType) → Promise<string url>
+     remove(key)                    → Promise<void>
+-------------------------------------------------------------------------------- */
+export const LOCAL_ROUTE = "/uploads/files";
+
+export function createLocalStorage({ dir, baseUrl = "" }) {
+  return {
+    driver: "local",
+    dir,
+    async save(key, buffer) {
+      const file = path.join(dir, key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `${baseUrl}${LOCAL_ROUTE}/${key}`;
+    },
+    async remove(key) {
+      await fs.rm(path.join(dir, key), { force: true });
+    },
+  };
+}
+
+export function createFirebaseStorage({ bucket }) {
+  return {
+    driver: "firebase",
+    async save(key, buffer, contentType) {
+      const file = bucket.file(key);
+      await file.save(buffer, {
+        resumable: false,
+        contentType,
+        metadata: { cacheControl: "public, max-age=31536000, immutable" },
+      });
+      await file.makePublic();
+      return file.publicUrl();
+    },
+    async remove(key) {
+      await bucket.file(key).delete({ ignoreNotFound: true });
+    },
+  };
+}
+
+/** เลือก driver ตาม ENV (ดูหัวไฟล์) */
+export function createStorageFromEnv(admin, env = process.env) {
+  const driver = env.STORAGE_DRIVER || (env.FIREBASE_STORAGE_BUCKET ? "firebase" : "local");
+
+  if (driver === "firebase") {
+    return createFirebaseStorage({ bucket: admin.storage().bucket(env.FIREBASE_STORAGE_BUCKET) });
+  }
+  if (driver === "local") {
+    return createLocalStorage({
+      dir: path.resolve(env.UPLOAD_DIR || "uploads"),
+      baseUrl: (env.PUBLIC_BASE_URL || "").replace(/\/+$/, ""),
+    });
+  }
+  throw new Error(`unknown STORAGE_DRIVER '${driver}'`);
+}
@@ -0,0 +1,79 @@
+// lib/tokens.js
+import crypto from "node:crypto";
+import { InternalError, UnauthorizedError } from "./errors.js";
+
+/* -------------------------------- Session tokens --------------------------------
+   JWT (HS256) แบบไม่พึ่ง lib ภายนอก
+   - access token  : อายุสั้น ใช้กับ Authorization: Bearer <token>
+   - refresh token : อายุยาว ใช้แลก access token ใหม่ที่ POST /auth/refresh
+   - upload token  : ได้จาก POST /uploads แบบไม่มี login (sub = upload_id) ใช้อ้างรูปตอนสมัครได้ครั้งเดียว
+   ใน Render → Environment ใส่ AUTH_TOKEN_SECRET (สตริงสุ่มยาว ๆ)
+-------------------------------------------------------------------------------- */
+export const ACCESS_TTL_SEC = Number(process.env.AUTH_ACCESS_TTL_SEC || 15 * 60);
+export const REFRESH_TTL_SEC = Number(process.env.AUTH_REFRESH_TTL_SEC || 30 * 24 * 60 * 60);
+export const UPLOAD_TOKEN_TTL_SEC = Number(process.env.UPLOAD_TOKEN_TTL_SEC || 60 * 60);
+
+function secret() {
+  const s = process.env.AUTH_TOKEN_SECRET;
+  if (!s) throw new InternalError("AUTH_NOT_CONFIGURED", "AUTH_TOKEN_SECRET is not configured");
+  return s;
+}
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function sign(payload, ttlSec) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = b64url(JSON.stringify({ ...payload, iat: now, exp: now + ttlSec }));
+  const sig = crypto.createHmac("sha256", secret()).update(`${header}.${body}`).digest("base64url");
+  return `${header}.${body}.${sig}`;
+}
+
+/**
+ * ออก access + refresh token ให้ user (sub = user_id)
+ * ver = user.token_version ตอนออก — เปลี่ยนรหัสผ่านแล้ว version เพิ่ม → token ชุดเก่าใช้ไม่ได้ (ตรวจที่ server.js loadSession)
+ */
+export function issueTokens({ user_id, role, token_version = 0 }) {
+  const claims = { sub: String(user_id), role: Number(role), ver: Number(token_version) };
+  return {
+    access_token: sign({ ...claims, typ: "access" }, ACCESS_TTL_SEC),
+    refresh_token: sign({ ...claims, typ: "refresh" }, REFRESH_TTL_SEC),
+    token_type: "Bearer",
+    expires_in: ACCESS_TTL_SEC,
+  };
+}
+
+/** token อ้างรูปที่อัปโหลดโดยไม่มี login (sub = upload_id) */
+export function issueUploadToken(upload_id) {
+  return sign({ sub: String(upload_id), typ: "upload" }, UPLOAD_TOKEN_TTL_SEC);
+}
+
+/**
+ * ตรวจลายเซ็น/อายุ/ชนิดของ token
+ * @param {string} token
+ * @param {"access"|"refresh"|"upload"} typ
+ * @returns claims ที่ถอดแล้ว — โยน 401 INVALID_TOKEN / TOKEN_EXPIRED ถ้าไม่ผ่าน
+ */
+export function verifyToken(token, typ) {
+  const fail = (msg) => new UnauthorizedError("INVALID_TOKEN", msg);
+
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw fail("invalid token");
+  const [header, body, sig] = parts;
+
+  const expected = crypto.createHmac("sha256", secret()).update(`${header}.${body}`).digest();
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw fail("invalid token");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    throw fail("invalid token");
+  }
+  if (claims.typ !== typ) throw fail("invalid token type");
+  if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) throw new UnauthorizedError("TOKEN_EXPIRED", "token expired");
+  return claims;
+}
@@ -0,0 +1,192 @@
+// lib/validate.js
+import { ValidationError } from "./errors.js";
+
+/* ---------------------------------- Validation ----------------------------------
+   schema ของ body / params / query ประกาศไว้ที่ route แล้วผ่าน middleware ตัวเดียว:
+
+     app.post("/deliveries/accept",
+       validate({ body: { delivery_id: v.id(), rider_lat: v.lat(), rider_lng: v.lng() } }),
+       async (req, res) => { ... })
+
+   - แปลงชนิดให้ ("12" → 12, "true" → true) แล้วเขียนทับ req.body / req.params / req.query
+   - field ที่ schema ไม่ได้ประกาศจะถูกตัดทิ้ง (route อ่านได้เฉพาะที่ประกาศ)
+   - ค่าว่าง (undefined / null / "") ของ field ที่ optional → ได้ default (ถ้ามี) หรือไม่มี key นั้น
+   - ผิดกี่ field ก็รายงานครบ: 400 VALIDATION_FAILED, details = [{ field: "body.delivery_id", message }]
+-------------------------------------------------------------------------------- */
+
+class Issue extends Error {}
+const fail = (message) => { throw new Issue(message); };
+
+const isEmpty = (x) => x === undefined || x === null || x === "";
+
+/**
+ * สร้าง rule หนึ่งตัว
+ * @param {(value:any) => any} parse แปลง/ตรวจค่าที่ไม่ว่าง — โยน Issue ถ้าผิด
+ * @param {{ optional?:boolean, default?:any }} opts
+ */
+function rule(parse, { optional = false, default: def } = {}) {
+  return { parse, optional: optional || def !== undefined, default: def };
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+}
+
+function checkRange(n, { min, max }) {
+  if (min != null && n < min) fail(`must be >= ${min}`);
+  if (max != null && n > max) fail(`must be <= ${max}`);
+  return n;
+}
+
+export const v = {
+  /** สตริง (trim ให้) — min/max = ความยาว, enum = ค่าที่อนุญาต, pattern = RegExp */
+  string(opts = {}) {
+    const { min, max, pattern, enum: values, trim = true } = opts;
+    return rule((value) => {
+      if (typeof value !== "string" && typeof value !== "number") fail("must be a string");
+      const s = trim ? String(value).trim() : String(value);
+      if (min != null && s.length < min) fail(min === 1 ? "must not be empty" : `must be at least ${min} characters`);
+      if (max != null && s.length > max) fail(`must be at most ${max} characters`);
+      if (pattern && !pattern.test(s)) fail("has an invalid format");
+      if (values && !values.includes(s)) fail(`must be one of ${values.join(", ")}`);
+      return s;
+    }, opts);
+  },
+
+  number(opts = {}) {
+    return rule((value) => {
+      const n = toNumber(value);
+      if (!Number.isFinite(n)) fail("must be a number");
+      return checkRange(n, opts);
+    }, opts);
+  },
+
+  int(opts = {}) {
+    return rule((value) => {
+      const n = toNumber(value);
+      if (!Number.isInteger(n)) fail("must be an integer");
+      return checkRange(n, opts);
+    }, opts);
+  },
+
+  /** id ตัวเลขจาก _counters (1, 2, 3, ...) */
+  id(opts = {}) {
+    return v.int({ min: 1, ...opts });
+  },
+
+  lat(opts = {}) {
+    return v.number({ min: -90, max: 90, ...opts });
+  },
+
+  lng(opts = {}) {
+    return v.number({ min: -180, max: 180, ...opts });
+  },
+
+  boolean(opts = {}) {
+    return rule((value) => {
+      if (value === true || value === "true" || value === 1 || value === "1") return true;
+      if (value === false || value === "false" || value === 0 || value === "0") return false;
+      return fail("must be a boolean");
+    }, opts);
+  },
+
+  /** ค่าใดค่าหนึ่งใน values (เทียบแบบสตริง แล้วคืนค่าตามที่ประกาศ เช่น "1" → 1) */
+  oneOf(values, opts = {}) {
+    return rule((value) => {
+      const hit = values.find(x => String(x) === String(value).trim());
+      return hit !== undefined ? hit : fail(`must be one of ${values.join(", ")}`);
+    }, opts);
+  },
+
+  /** upload_id จาก POST /uploads หรือ URL รูป — แปลงเป็น URL จริงที่ route (resolveImageRef) */
+  imageRef(opts = {}) {
+    return v.string({ max: 2048, ...opts });
+  },
+
+  array(item, opts = {}) {
+    const { min, max } = opts;
+    return rule((value) => {
+      if (!Array.isArray(value)) fail("must be an array");
+      if (min != null && value.length < min) fail(`must contain at least ${min} items`);
+      if (max != null && value.length > max) fail(`must contain at most ${max} items`);
+      return value.map((x, i) => parseField(item, x, `[${i}]`));
+    }, opts);
+  },
+
+  object(shape, opts = {}) {
+    return rule((value) => {
+      if (!value || typeof value !== "object" || Array.isArray(value)) fail("must be an object");
+      return parseShape(shape, value, "");
+    }, opts);
+  },
+};
+
+/** limit / cursor ของ list endpoint (lib/pagination.js) — ใส่ใน query schema ด้วย ...pageQuery */
+export const pageQuery = Object.freeze({
+  limit: v.int({ optional: true, min: 1 }),
+  cursor: v.string({ optional: true, max: 512 }),
+});
+
+// ---- ตัวตรวจ ----
+class Issues extends Error {
+  constructor(list) { super("invalid"); this.list = list; }
+}
+
+function parseField(r, value, field) {
+  if (isEmpty(value)) {
+    if (r.default !== undefined) return r.default;
+    if (r.optional) return undefined;
+    throw new Issues([{ field, message: "is required" }]);
+  }
+  try {
+    return r.parse(value);
+  } catch (err) {
+    if (err instanceof Issue) throw new Issues([{ field, message: err.message }]);
+    if (err instanceof Issues) {
+      throw new Issues(err.list.map(i => ({ ...i, field: `${field}${i.field.startsWith("[") ? "" : "."}${i.field}` })));
+    }
+    throw err;
+  }
+}
+
+function parseShape(shape, src, prefix) {
+  const out = {};
+  const issues = [];
+  for (const [key, r] of Object.entries(shape)) {
+    try {
+      const value = parseField(r, src?.[key], prefix ? `${prefix}.${key}` : key);
+      if (value !== undefined) out[key] = value;
+    } catch (err) {
+      if (!(err instanceof Issues)) throw err;
+      issues.push(...err.list);
+    }
+  }
+  if (issues.length) throw new Issues(issues);
+  return out;
+}
+
+/**
+ * middleware ตรวจ req ตาม schema
+ * @param {{ body?:object, params?:object, query?:object }} schemas shape = { field: v.xxx() }
+ */
+export function validate(schemas) {
+  return (req, _res, next) => {
+    const issues = [];
+    const parsed = {};
+    for (const part of ["params", "query", "body"]) {
+      if (!schemas[part]) continue;
+      try {
+        parsed[part] = parseShape(schemas[part], req[part] ?? {}, part);
+      } catch (err) {
+        if (!(err instanceof Issues)) return next(err);
+        issues.push(...err.list);
+      }
+    }
+    if (issues.length) return next(new ValidationError(issues));
+
+    Object.assign(req, parsed);
+    return next();
+  };
+}
@@ -0,0 +1,47 @@
+// lib/vehicles.js
+
+/* ------------------------------ Vehicle capability ------------------------------
+   ชนิดรถ (rider_car.car_type) เป็นค่าคงที่ชุดนี้เท่านั้น แต่ละชนิดขนของได้ไม่เกิน
+     max_weight_kg : น้ำหนักรวมของพัสดุ
+     max_size      : ขนาดใหญ่สุด (SIZE_CLASSES เรียงจากเล็กไปใหญ่)
+   delivery.weight_kg / size_class ที่ไม่มีค่า (งานเก่า) ถือว่ารถทุกชนิดรับได้
+   car_type ที่ไม่อยู่ในชุด (ข้อมูลเก่าที่พิมพ์เอง) → รับได้เฉพาะงานเก่า ต้องแก้รถก่อน
+-------------------------------------------------------------------------------- */
+export const SIZE_CLASSES = Object.freeze(["small", "medium", "large", "xlarge"]);
+
+export const VEHICLE_CAPACITY = Object.freeze({
+  bicycle: Object.freeze({ max_weight_kg: 5, max_size: "small" }),
+  motorbike: Object.freeze({ max_weight_kg: 20, max_size: "medium" }),
+  car: Object.freeze({ max_weight_kg: 100, max_size: "large" }),
+  pickup: Object.freeze({ max_weight_kg: 500, max_size: "xlarge" }),
+  truck: Object.freeze({ max_weight_kg: 2000, max_size: "xlarge" }),
+});
+
+export const CAR_TYPES = Object.freeze(Object.keys(VEHICLE_CAPACITY));
+
+/** พัสดุหนักกว่านี้ไม่มีรถชนิดไหนรับได้ */
+export const MAX_WEIGHT_KG = Math.max(...Object.values(VEHICLE_CAPACITY).map(c => c.max_weight_kg));
+
+/** ความจุของชนิดรถ หรือ null ถ้าไม่รู้จัก */
+export function vehicleCapacity(carType) {
+  const key = String(carType || "").trim().toLowerCase();
+  return VEHICLE_CAPACITY[key] ?? null;
+}
+
+/**
+ * รถชนิดนี้รับพัสดุนี้ได้ไหม
+ * @param {string|null} carType
+ * @param {{ weight_kg?:number|null, size_class?:string|null }} parcel ข้อมูลจาก delivery
+ * @returns {{ ok:true } | { ok:false, reason:"unknown_car_type"|"too_heavy"|"too_large" }}
+ */
+export function canCarry(carType, { weight_kg = null, size_class = null } = {}) {
+  if (weight_kg == null && size_class == null) return { ok: true };
+
+  const cap = vehicleCapacity(carType);
+  if (!cap) return { ok: false, reason: "unknown_car_type" };
+  if (weight_kg != null && Number(weight_kg) > cap.max_weight_kg) return { ok: false, reason: "too_heavy" };
+  if (size_class != null && SIZE_CLASSES.indexOf(size_class) > SIZE_CLASSES.indexOf(cap.max_size)) {
+    return { ok: false, reason: "too_large" };
+  }
+  return { ok: true };
+}
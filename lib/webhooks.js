@@ -0,0 +1,178 @@
+// lib/webhooks.js
+import crypto from "node:crypto";
+import dns from "node:dns";
+import http from "node:http";
+import https from "node:https";
+import net from "node:net";
+
+/* ---------------------------------- Webhooks ----------------------------------
+   ส่ง event ของ delivery ไปยัง URL ที่ร้านค้าลงทะเบียนไว้ (POST JSON)
+   - event = "delivery.<status>" ตามสถานะที่งานเพิ่งเข้า (waiting = สร้างใหม่ / ถูกปล่อยกลับ)
+   - ทุก request มี header
+       X-Webhook-Id        : event_id (ซ้ำได้ตอน retry/replay → ผู้รับใช้กันประมวลผลซ้ำ)
+       X-Webhook-Event     : ชื่อ event
+       X-Webhook-Signature : t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+   - ตอบ 2xx ภายใน WEBHOOK_TIMEOUT_MS = สำเร็จ ไม่งั้น retry แบบ exponential backoff
+     (WEBHOOK_RETRY_BASE_MS × 2^(ครั้งที่-1)) จนครบ WEBHOOK_MAX_ATTEMPTS แล้วย้ายเป็น dead
+   - URL ต้องชี้ไปที่ address สาธารณะ และ port ใน WEBHOOK_ALLOWED_PORTS (ค่าเริ่มต้น 443)
+     ตรวจตอนลงทะเบียน และตรวจอีกครั้งตอนต่อจริงทุกครั้ง (ผ่าน lookup ของ socket → DNS rebinding ใช้ไม่ได้)
+     loopback / private / link-local (รวม metadata 169.254.169.254) / CGNAT / multicast ถูกปฏิเสธ
+     รวม IPv6 ที่ฝัง IPv4 ไว้ (IPv4-mapped / NAT64 / 6to4 / Teredo) — ไปถึง IPv4 ภายในได้
+     WEBHOOK_ALLOW_PRIVATE=1 ปิดการตรวจ address สำหรับ dev ที่รับ webhook บนเครื่องตัวเองเท่านั้น
+-------------------------------------------------------------------------------- */
+export const WEBHOOK_EVENTS = Object.freeze([
+  "delivery.waiting",
+  "delivery.accept",
+  "delivery.transporting",
+  "delivery.finish",
+  "delivery.cancelled",
+]);
+
+export const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+export const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 30_000);
+export const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10_000);
+
+export const WEBHOOK_ALLOWED_PORTS = Object.freeze(
+  (process.env.WEBHOOK_ALLOWED_PORTS || "443").split(",").map(Number).filter(Number.isInteger)
+);
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+
+const RETRY_MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+
+// แยก list ตาม family — BlockList เทียบ IPv4 กับ subnet IPv6 แบบ IPv4-mapped ด้วย (::ffff:0:0/96 จะกิน IPv4 ทั้งหมด)
+const BLOCKED_V4 = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4],
+]) BLOCKED_V4.addSubnet(prefix, bits, "ipv4");
+const BLOCKED_V6 = new net.BlockList();
+for (const [prefix, bits] of [
+  ["::", 127],          // :: และ ::1
+  ["::ffff:0:0", 96],   // IPv4-mapped → ไปถึง IPv4 ภายในได้
+  ["64:ff9b::", 96],    // NAT64
+  ["2002::", 16],       // 6to4 — ฝัง IPv4 ไว้ใน address (2002:7f00:1:: → 127.0.0.1)
+  ["2001::", 32],       // Teredo — ฝัง IPv4 ไว้เหมือนกัน
+  ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+]) BLOCKED_V6.addSubnet(prefix, bits, "ipv6");
+
+/** address นี้ห้ามใช้เป็นปลายทาง webhook ไหม */
+export function isBlockedAddress(address) {
+  if (ALLOW_PRIVATE) return false;
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_V4.check(address, "ipv4");
+  if (family === 6) return BLOCKED_V6.check(address, "ipv6");
+  return true;
+}
+
+function blockedLookupError(hostname, address) {
+  return Object.assign(new Error(`${hostname} resolves to non-public address ${address}`), { code: "EADDRBLOCKED" });
+}
+
+// lookup ของ socket: resolve แล้วปฏิเสธถ้ามี address ไหนไม่ใช่สาธารณะ — address ที่ต่อจริงผ่านการตรวจเสมอ
+function publicOnlyLookup(hostname, options, callback) {
+  const opts = typeof options === "object" ? options : { family: options };
+  dns.lookup(hostname, { ...opts, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const bad = addresses.find(a => isBlockedAddress(a.address));
+    if (bad) return callback(blockedLookupError(hostname, bad.address));
+    if (opts.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * ตรวจว่า URL ใช้เป็นปลายทาง webhook ได้ไหม (port + resolve host แล้วทุก address ต้องเป็นสาธารณะ)
+ * @returns {Promise<string|null>} เหตุผลที่ใช้ไม่ได้ หรือ null ถ้าใช้ได้
+ */
+export async function checkWebhookTarget(url) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch {
+    return "is not a valid URL";
+  }
+  if (u.protocol !== "https:" && u.protocol !== "http:") return "must be an http(s) URL";
+  if (u.username || u.password) return "must not contain credentials";
+
+  const port = Number(u.port || (u.protocol === "https:" ? 443 : 80));
+  if (!WEBHOOK_ALLOWED_PORTS.includes(port)) return `port ${port} is not allowed (allowed: ${WEBHOOK_ALLOWED_PORTS.join(", ")})`;
+
+  const host = u.hostname.replace(/^\[|\]$/g, "");
+  if (net.isIP(host)) return isBlockedAddress(host) ? `address ${host} is not publicly routable` : null;
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (err) {
+    return `host ${host} could not be resolved (${err.code || err.message})`;
+  }
+  const bad = addresses.find(a => isBlockedAddress(a.address));
+  return bad ? `host ${host} resolves to non-public address ${bad.address}` : null;
+}
+
+export function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString("hex")}`;
+}
+
+/** ค่า header X-Webhook-Signature ของ body (string ที่ส่งจริง) */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${v1}`;
+}
+
+/** เวลารอก่อน retry หลังพยายามไปแล้ว attempts ครั้ง หรือ null ถ้าครบแล้ว (→ dead) */
+export function retryDelayMs(attempts, { maxAttempts = WEBHOOK_MAX_ATTEMPTS, baseMs = WEBHOOK_RETRY_BASE_MS } = {}) {
+  if (attempts >= maxAttempts) return null;
+  return Math.min(baseMs * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+// POST หนึ่งครั้ง ไม่ตาม redirect ไม่อ่าน body ของผู้รับ → status code
+function postJson(url, headers, body, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const u = new URL(url);
+    const req = (u.protocol === "https:" ? https : http).request(u, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: publicOnlyLookup,
+      agent: false,
+    }, (res) => {
+      clearTimeout(timer);
+      res.resume();
+      resolve(res.statusCode);
+    });
+    const timer = setTimeout(() => req.destroy(Object.assign(new Error(`timeout after ${timeoutMs}ms`), { code: "ETIMEDOUT" })), timeoutMs);
+    req.on("error", (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * ส่ง event หนึ่งครั้ง (ไม่ throw — ผลลัพธ์บอกว่าสำเร็จไหม)
+ * ปลายทางที่ไม่ผ่าน checkWebhookTarget ถือว่าส่งไม่สำเร็จ (ไม่ยิง request)
+ * @param {{ url:string, secret:string, event_id:string, event:string, payload:object }} p
+ * @returns {Promise<{ ok:boolean, status_code:number|null, error:string|null, duration_ms:number }>}
+ */
+export async function sendWebhook({ url, secret, event_id, event, payload }, { timeoutMs = WEBHOOK_TIMEOUT_MS } = {}) {
+  const body = JSON.stringify(payload);
+  const started = Date.now();
+  const blocked = await checkWebhookTarget(url);
+  if (blocked) return { ok: false, status_code: null, error: `blocked: url ${blocked}`, duration_ms: Date.now() - started };
+
+  try {
+    const status = await postJson(url, {
+      "Content-Type": "application/json",
+      "User-Agent": "delivery-webhooks/1",
+      "X-Webhook-Id": event_id,
+      "X-Webhook-Event": event,
+      "X-Webhook-Signature": signPayload(secret, body),
+    }, body, timeoutMs);
+    const ok = status >= 200 && status < 300;
+    return { ok, status_code: status, error: ok ? null : `HTTP ${status}`, duration_ms: Date.now() - started };
+  } catch (err) {
+    const error = err?.code === "EADDRBLOCKED" || err?.code === "ETIMEDOUT" ? err.message : String(err?.code || err?.message || err);
+    return { ok: false, status_code: null, error, duration_ms: Date.now() - started };
+  }
+}
@@ -2,6 +2,36 @@
 import express from "express";
 import cors from "cors";
 import admin from "firebase-admin";
+import multer from "multer";
+import sharp from "sharp";
+import crypto from "node:crypto";
+import { hashPassword, verifyPassword } from "./lib/password.js";
+import { UPLOAD_TOKEN_TTL_SEC, issueTokens, issueUploadToken, verifyToken } from "./lib/tokens.js";
+import {
+  distanceKm, encodeGeohash, encodePolyline, geohashQueryPrefixes, isValidLatLng, pathDistanceKm,
+} from "./lib/geo.js";
+import { estimateEta, recentSpeedKmh } from "./lib/eta.js";
+import { LOCAL_ROUTE, createStorageFromEnv } from "./lib/storage.js";
+import { createNotifierFromEnv, notifierDriverFromEnv } from "./lib/notifier.js";
+import {
+  WEBHOOK_EVENTS, WEBHOOK_TIMEOUT_MS, checkWebhookTarget, generateSecret, retryDelayMs, sendWebhook,
+} from "./lib/webhooks.js";
+import { paginateArray, paginateQuery, parsePageParams } from "./lib/pagination.js";
+import { publishDeliveryEvent, subscribeDelivery } from "./lib/deliveryEvents.js";
+import { STATUS, ALL_STATUSES, ACTIVE_STATUSES, assertTransition, historyEntry } from "./lib/deliveryState.js";
+import {
+  BadRequestError, ConflictError, ForbiddenError, NotFoundError, PayloadTooLargeError, TooManyRequestsError,
+  UnauthorizedError, UnsupportedMediaTypeError, ValidationError, errorHandler, sendError,
+} from "./lib/errors.js";
+import { pageQuery, v, validate } from "./lib/validate.js";
+import { createRateLimiter } from "./lib/rateLimit.js";
+import { CAR_TYPES, MAX_WEIGHT_KG, SIZE_CLASSES, canCarry, vehicleCapacity } from "./lib/vehicles.js";
+import { PIN_MAX_ATTEMPTS, PIN_PATTERN, checkPinAttempt, generatePin } from "./lib/deliveryPin.js";
+import { loadPricingRules, quotePrice } from "./lib/pricing.js";
+import {
+  ENTRY_KIND, LOCAL_UTC_OFFSET_MIN, PERIODS, addDays, finishEntries, localDate, summarizeByPeriod,
+} from "./lib/ledger.js";
+import { busiestAreas, deliveriesPerDay, riderPerformance, stageDurations } from "./lib/analytics.js";
 
 /* -------------------- Firebase Admin init (ใช้ ENV จาก Render) --------------------
    ใน Render → Service → Environment ใส่:
@@ -9,6 +39,8 @@ import admin from "firebase-admin";
    - FIREBASE_CLIENT_EMAIL
    - FIREBASE_PRIVATE_KEY   (แปะทั้งบล็อก โดยแทนขึ้นบรรทัดเป็น \n)
    - (optional) FIREBASE_DATABASE_URL
+   - (optional) FIREBASE_STORAGE_BUCKET  (ที่เก็บรูปจาก POST /uploads — ดู lib/storage.js)
+   - (optional) NOTIFIER_DRIVER          (push notification ผ่าน FCM — ดู lib/notifier.js)
 ----------------------------------------------------------------------------------- */
 if (!admin.apps.length) {
   admin.initializeApp({
@@ -18,42 +50,163 @@ if (!admin.apps.length) {
       privateKey: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, "\n"),
     }),
     databaseURL: process.env.FIREBASE_DATABASE_URL || undefined,
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || undefined,
   });
 }
 const db = admin.firestore();
 
 /* ---------------------------------- Express ---------------------------------- */
 const app = express();
+// อยู่หลัง proxy ของ Render หนึ่งชั้น → req.ip = IP ของ client จริง (ใช้จำกัดอัปโหลดแบบไม่มี login)
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS ?? 1));
 app.use(cors({ origin: true }));
-app.use(express.json({ limit: "100mb" }));
-app.use(express.urlencoded({ limit: "100mb", extended: true }));
+// รูปภาพไม่ส่งเป็น base64 ใน JSON แล้ว (ใช้ POST /uploads) → body เล็กพอ
+app.use(express.json({ limit: "1mb" }));
+app.use(express.urlencoded({ limit: "1mb", extended: true }));
+
+/* ------------------------------------ Auth ------------------------------------
+   ทุกเส้นต้องมี Authorization: Bearer <access_token> (ได้จาก /login)
+   ยกเว้นเส้นใน PUBLIC_ROUTES — ผู้เรียกถูก resolve ไว้ที่ req.auth = { user_id, role }
+   - อ่าน user ทุก request: role มาจากเอกสารล่าสุด (ไม่เชื่อ claim ใน token)
+     บัญชีที่ถูกระงับ / ลบแล้ว / token ที่ออกก่อนเปลี่ยนรหัสผ่าน ใช้ไม่ได้ทันที ไม่ต้องรอ access token หมดอายุ
+----------------------------------------------------------------------------------- */
+const PUBLIC_ROUTES = new Set([
+  "GET /",
+  "POST /register/user",
+  "POST /register/rider",
+  "POST /login",
+  "POST /auth/refresh",
+  "POST /uploads",          // อัปโหลดรูปโปรไฟล์/รถก่อนสมัครได้ (มี token ก็ผูกกับผู้ใช้)
+]);
+const PUBLIC_PREFIXES = [`GET ${LOCAL_ROUTE}/`];
+
+/** token นี้ออกก่อนเปลี่ยนรหัสผ่านครั้งล่าสุดไหม (เทียบ ver กับ user.token_version — ไม่ขึ้นกับนาฬิกา) */
+function isStaleToken(claims, u) {
+  const version = Number(u.token_version ?? 0);
+  if (claims.ver != null) return Number(claims.ver) !== version;
+  // token ที่ออกก่อนมี ver: เทียบเวลาแบบเดิม (วินาทีเดียวกันถือว่าเก่า)
+  return version > 0 || (u.passwordChangedAt != null && claims.iat <= u.passwordChangedAt.seconds);
+}
+
+/**
+ * ผู้ถือ token (access หรือ refresh) ตามสถานะล่าสุดของ user ไม่งั้นโยน 401 / 403
+ * @returns {Promise<{ user_id:number, role:number, token_version:number }>}
+ */
+async function loadSession(claims) {
+  const snap = await db.collection(USER_COL).doc(String(claims.sub)).get();
+  if (!snap.exists || snap.data().deleted) throw new UnauthorizedError("INVALID_TOKEN", "user not found");
+  const u = snap.data();
+  // เปลี่ยนรหัสผ่านแล้ว → token ที่ออกก่อนหน้านั้น (เครื่องอื่น / token ที่หลุด) ใช้ต่อไม่ได้
+  if (isStaleToken(claims, u)) {
+    throw new UnauthorizedError("INVALID_TOKEN", "token was issued before the last password change");
+  }
+  if (u.suspended) {
+    throw new ForbiddenError("ACCOUNT_SUSPENDED", "account suspended", { reason: u.suspended_reason ?? null });
+  }
+  return { user_id: Number(snap.id), role: Number(u.role), token_version: Number(u.token_version ?? 0) };
+}
+
+async function requireAuth(req, res, next) {
+  if (req.method === "OPTIONS") return next();
+  const key = `${req.method} ${req.path}`;
+  const isPublic = PUBLIC_ROUTES.has(key) || PUBLIC_PREFIXES.some(p => key.startsWith(p));
+
+  const m = /^Bearer\s+(.+)$/i.exec(req.get("authorization") || "");
+  // EventSource ตั้ง header เองไม่ได้ → เส้น .../stream รับ ?access_token= แทน
+  const token = m?.[1] ?? (req.method === "GET" && req.path.endsWith("/stream") ? req.query.access_token : null);
+  if (!token) {
+    return isPublic ? next() : sendError(res, new UnauthorizedError("MISSING_TOKEN", "missing bearer token"));
+  }
+
+  try {
+    const claims = verifyToken(token, "access");
+    req.auth = await loadSession(claims);
+    return next();
+  } catch (e) {
+    // เส้น public ไม่สน token ที่หมดอายุ/ผิด
+    return isPublic ? next() : sendError(res, e);
+  }
+}
+app.use(requireAuth);
+
+/** middleware: จำกัดเฉพาะ role ที่กำหนด (ROLE_USER / ROLE_RIDER / ROLE_ADMIN) */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!roles.includes(req.auth?.role)) {
+      return sendError(res, new ForbiddenError("ROLE_FORBIDDEN", "permission denied for this role"));
+    }
+    return next();
+  };
+}
+
+/**
+ * user_id ของผู้เรียกจาก token — ถ้า client ส่ง id มาใน body/path ด้วยต้องตรงกัน ไม่งั้น 403
+ * @param {object} req
+ * @param {*} claimed ค่าที่ client ส่งมา (null/undefined = ไม่ได้ส่ง)
+ * @param {string} field ชื่อ field ไว้ใส่ใน error
+ */
+function resolveActor(req, claimed, field = "user_id") {
+  const actor = req.auth.user_id;
+  if (claimed != null && claimed !== "" && Number(claimed) !== actor) {
+    throw new ForbiddenError("ACTOR_MISMATCH", `${field} does not match the authenticated user`, { field });
+  }
+  return actor;
+}
+
+/** เส้นที่ดูข้อมูลของผู้ใช้คนหนึ่ง: เจ้าของ (id ตรงกับ token) หรือ admin เท่านั้น ไม่งั้น 403 ACTOR_MISMATCH */
+function resolveSelfOrAdmin(req, claimed, field = "user_id") {
+  return req.auth.role === ROLE_ADMIN ? Number(claimed) : resolveActor(req, claimed, field);
+}
 
 /* -------------------------------- Collections -------------------------------- */
 const USER_COL  = "user";
 const ADDR_COL  = "user_address";
 const RIDER_COL = "rider_car";
+const PLATE_COL = "rider_plate";
 const COUNTERS  = "_counters";
 const DELIVERY_COL = "delivery";
 const RIDER_LOC_COL = "rider_location";
 const ASSIGN_COL = "delivery_assignment";
+const ADMIN_LOG_COL = "admin_log";
+const HISTORY_COL = "delivery_status_history";
+const TRACK_COL = "rider_track";
+const UPLOAD_COL = "upload";
+const PIN_COL = "delivery_pin";
+const QUOTE_COL = "delivery_quote";
+const LEDGER_COL = "ledger";
+const RATING_COL = "rider_rating";
+const MESSAGE_COL = "delivery_message";
+const CHAT_READ_COL = "delivery_chat_read";
+const DEVICE_COL = "device_token";
+const WEBHOOK_COL = "webhook";
+const WEBHOOK_EVENT_COL = "webhook_event";
+
+/* ----------------------------------- Roles ----------------------------------- */
+const ROLE_USER  = 0;
+const ROLE_RIDER = 1;
+const ROLE_ADMIN = 2;   // ตั้งได้จาก /admin/users/:id/role เท่านั้น (คนแรกตั้งตรงใน Firestore)
 /* --------------------------------- Healthcheck -------------------------------- */
 app.get("/", (_, res) => res.send("API on Render 🚀"));
-app.get("/users/:id", async (req, res) => {
+// GET /users/:id  (ตัวเอง หรือ admin)
+app.get("/users/:id", validate({ params: { id: v.id() } }), async (req, res) => {
   try {
-    const doc = await db.collection(USER_COL).doc(String(req.params.id)).get();
-    if (!doc.exists) return res.status(404).json({ error: "not found" });
-    res.json({ id: doc.id, ...doc.data() });
+    const userId = resolveSelfOrAdmin(req, req.params.id, "id");
+    const doc = await db.collection(USER_COL).doc(String(userId)).get();
+    if (!doc.exists) throw new NotFoundError("USER_NOT_FOUND", "user not found");
+    res.json({ id: doc.id, ...publicUser(doc.data()) });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
-app.get("/users", async (req, res) => {
+// GET /users?limit=&cursor=  -> { count, users, next_cursor }   (admin เท่านั้น — ตัวกรองเพิ่มเติมดู /admin/users)
+app.get("/users", requireRole(ROLE_ADMIN), validate({ query: pageQuery }), async (req, res) => {
   try {
-    const snap = await db.collection(USER_COL).get();
-    const users = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    return res.json({ count: users.length, users });
+    const page = parsePageParams(req.query);
+    const { docs, next_cursor } = await paginateQuery(db.collection(USER_COL), page);
+    const users = docs.map(d => ({ id: d.id, ...publicUser(d.data()) }));
+    return res.json({ count: users.length, users, next_cursor });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
@@ -80,29 +233,248 @@ async function assertPhoneNotDuplicate(phone) {
     .get();
   if (!snap.empty) {
     const d = snap.docs[0];
-    const err = new Error("phone already exists");
-    err.code = 409;
-    err.payload = { id: d.id, ...d.data() };
-    throw err;
+    throw new ConflictError("PHONE_TAKEN", "phone already exists", { id: d.id, ...publicUser(d.data()) });
   }
 }
 
+/** ตัด field ที่ไม่ควรส่งออกไปหา client (password hash) */
+function publicUser(data) {
+  const { password, ...rest } = data || {};
+  return rest;
+}
+
 function normalizeRoleInt(role) {
-  const r = Number(role ?? 0);
-  if (r !== 0 && r !== 1) {
-    const e = new Error("role must be 0 or 1");
-    e.code = 400;
-    throw e;
+  const r = Number(role ?? ROLE_USER);
+  if (![ROLE_USER, ROLE_RIDER, ROLE_ADMIN].includes(r)) {
+    throw new ValidationError([{ field: "role", message: "must be one of 0, 1, 2" }]);
   }
   return r;
 }
 
+/** ผู้ส่ง / ผู้รับ / ไรเดอร์ที่ถือ assignment ของ delivery นี้ */
+async function isDeliveryParticipant(delivery, userId) {
+  const uid = Number(userId);
+  if (uid === Number(delivery.user_id_sender) || uid === Number(delivery.user_id_receiver)) return true;
+
+  const aSnap = await db.collection(ASSIGN_COL)
+    .where("delivery_id", "==", Number(delivery.delivery_id))
+    .where("rider_id", "==", uid)
+    .limit(1)
+    .get();
+  return !aSnap.empty;
+}
+
+/** ผู้ใช้เป็นผู้ส่ง / ผู้รับของงานที่ไรเดอร์คนนี้ถืออยู่หรือส่งสำเร็จแล้วไหม (เห็นรถของไรเดอร์ได้) */
+async function hasDeliveryWithRider(userId, riderId) {
+  const statuses = [...ACTIVE_STATUSES, STATUS.FINISH];
+  const snaps = await Promise.all(["user_id_sender", "user_id_receiver"].map(field =>
+    db.collection(DELIVERY_COL).where(field, "==", Number(userId)).where("status", "in", statuses).get()
+  ));
+  const ids = [...new Set(snaps.flatMap(snap => snap.docs.map(d => Number(d.data().delivery_id))))];
+
+  for (let i = 0; i < ids.length; i += 30) {   // "in" รับได้ครั้งละ 30 ค่า
+    const aSnap = await db.collection(ASSIGN_COL)
+      .where("rider_id", "==", Number(riderId))
+      .where("delivery_id", "in", ids.slice(i, i + 30))
+      .get();
+    if (aSnap.docs.some(a => a.data().status !== "released")) return true;
+  }
+  return false;
+}
+
+/**
+ * PIN ของ delivery ที่ผู้ใช้ uid เป็นผู้รับ (งานของคนอื่น / งานเก่าที่ไม่มี PIN → ไม่มีใน Map)
+ * @returns {Promise<Map<number,string>>} delivery_id -> pin
+ */
+async function receiverPins(deliveries, uid) {
+  const mine = deliveries.filter(d => Number(d.user_id_receiver) === Number(uid));
+  if (!mine.length) return new Map();
+  const snaps = await db.getAll(...mine.map(d => db.collection(PIN_COL).doc(String(d.delivery_id))));
+  return new Map(snaps.filter(p => p.exists).map(p => [Number(p.data().delivery_id), p.data().pin]));
+}
+
+/** คะแนนรวมของไรเดอร์จากเอกสาร user (rating_sum / rating_count ที่ POST /deliveries/:id/rating ดูแล) */
+function riderRatingOf(u) {
+  const count = Number(u?.rating_count || 0);
+  return { average: count ? Math.round((Number(u.rating_sum) / count) * 100) / 100 : null, count };
+}
+
+/** คะแนนรวมของไรเดอร์หลายคนในครั้งเดียว -> Map<rider_id, { average, count }> */
+async function riderRatings(riderIds) {
+  const ids = [...new Set(riderIds.filter(id => id != null).map(Number))];
+  if (!ids.length) return new Map();
+  const snaps = await db.getAll(...ids.map(id => db.collection(USER_COL).doc(String(id))));
+  return new Map(snaps.map(s => [Number(s.id), riderRatingOf(s.data())]));
+}
+
+/** เขียน status_history ใน transaction/batch เดียวกับที่เปลี่ยนสถานะ (ดู lib/deliveryState.js) */
+function recordTransition(writer, params) {
+  writer.set(
+    db.collection(HISTORY_COL).doc(),
+    historyEntry({ ...params, timestamp: admin.firestore.FieldValue.serverTimestamp() })
+  );
+}
+
+/** เขียน ledger ของงานที่ finish (ทับของเดิมถ้ามี — ดู lib/ledger.js) */
+function recordLedger(writer, delivery, rider_id) {
+  for (const { id, ...entry } of finishEntries({ delivery, rider_id })) {
+    writer.set(db.collection(LEDGER_COL).doc(id), {
+      entry_id: id,
+      ...entry,
+      void: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  }
+}
+
+/* ---------------------- Realtime (SSE) — เรียกหลัง commit แล้วเท่านั้น ---------------------- */
+function emitStatusChange(delivery_id, from, to, actor) {
+  publishDeliveryEvent(delivery_id, "status", {
+    from: from ?? null,
+    to,
+    actor_id: actor?.user_id ?? null,
+    actor_kind: actor?.kind ?? null,
+  });
+  // webhook ของร้านค้า (ดูหัวข้อ Webhooks) — ไม่ await: ปลายทางช้า/ล่มต้องไม่ถ่วง route
+  queueWebhookEvents(delivery_id, from, to, actor).catch(err => console.error("webhook queue failed:", err));
+}
+
+function emitRiderLocation(delivery_id, rider_id, lat, lng) {
+  publishDeliveryEvent(delivery_id, "location", {
+    rider_id: Number(rider_id),
+    lat: Number(lat),
+    lng: Number(lng),
+  });
+}
+
+/* ---------------- Push notification (lib/notifier.js) — เรียกหลัง commit แล้วเท่านั้น ----------------
+   ไม่ await ใน route: ส่งไม่สำเร็จ (FCM ล่ม / ไม่มีเครื่องลงทะเบียน) ต้องไม่ทำให้การเปลี่ยนสถานะล้ม
+------------------------------------------------------------------------------------------------- */
+const notifier = createNotifierFromEnv(admin);
+
+// ใครได้รับแจ้งเมื่องานเข้าสถานะไหน
+const STATUS_NOTIFICATIONS = {
+  [STATUS.ACCEPT]: { to: "sender", title: "Rider found", body: (d) => `A rider accepted your delivery of ${d.name_product}` },
+  [STATUS.TRANSPORTING]: { to: "receiver", title: "Parcel on the way", body: (d) => `${d.name_product} has been picked up and is on the way` },
+  [STATUS.FINISH]: { to: "receiver", title: "Parcel delivered", body: (d) => `${d.name_product} has been delivered` },
+};
+
+async function notifyUser(user_id, message) {
+  const snap = await db.collection(DEVICE_COL).where("user_id", "==", Number(user_id)).get();
+  if (snap.empty) return;
+
+  const { invalid_tokens } = await notifier.send(snap.docs.map(d => d.data().token), message);
+  if (invalid_tokens.length) {
+    const dead = new Set(invalid_tokens);
+    const batch = db.batch();
+    snap.docs.filter(d => dead.has(d.data().token)).forEach(d => batch.delete(d.ref));
+    await batch.commit();
+  }
+}
+
+function notifyStatusChange(delivery, to) {
+  const n = STATUS_NOTIFICATIONS[to];
+  if (!n) return;
+  const user_id = n.to === "sender" ? delivery.user_id_sender : delivery.user_id_receiver;
+  if (user_id == null) return;
+
+  notifyUser(user_id, {
+    title: n.title,
+    body: n.body(delivery),
+    data: { type: "delivery_status", delivery_id: delivery.delivery_id, status: to },
+  }).catch(err => console.error("push notification failed:", err));
+}
+
+/**
+ * จุด breadcrumb ของไรเดอร์ต่อ assignment (rider_location เก็บแค่จุดล่าสุด)
+ * source = เส้นที่บันทึก เช่น "accept" | "pickup" | "finish" | "location"
+ */
+function recordTrackPoint(writer, { assi_id, delivery_id, rider_id, lat, lng, source }) {
+  writer.set(db.collection(TRACK_COL).doc(), {
+    assi_id: Number(assi_id),
+    delivery_id: Number(delivery_id),
+    rider_id: Number(rider_id),
+    lat: Number(lat),
+    lng: Number(lng),
+    source,
+    recordedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/* -------------------------------- Distance / ETA --------------------------------
+   ระยะเส้นตรง + ETA จากไรเดอร์ถึงเป้าหมายปัจจุบันของงาน
+   - accept       → จุดรับ (ที่อยู่ผู้ส่ง)
+   - transporting → จุดส่ง (ที่อยู่ผู้รับ)
+----------------------------------------------------------------------------------- */
+async function computeRiderProgress({ assignment, delivery, rider_lat, rider_lng }) {
+  const target = assignment.status === STATUS.TRANSPORTING ? "dropoff" : "pickup";
+  const addrId = target === "dropoff" ? delivery.address_id_receiver : delivery.address_id_sender;
+
+  const [addrSnap, trackSnap, activeCar] = await Promise.all([
+    db.collection(ADDR_COL).doc(String(addrId)).get(),
+    db.collection(TRACK_COL).where("assi_id", "==", Number(assignment.assi_id)).get(),
+    assignment.vehicle ? null : getActiveVehicle(assignment.rider_id),
+  ]);
+
+  const addr = addrSnap.exists ? addrSnap.data() : null;
+  const result = {
+    target,
+    target_lat: addr?.lat == null ? null : Number(addr.lat),
+    target_lng: addr?.lng == null ? null : Number(addr.lng),
+    distance_km: null,
+    eta_minutes: null,
+    speed_kmh: null,
+    speed_source: null,
+  };
+  if (!isValidLatLng(rider_lat, rider_lng) || !isValidLatLng(result.target_lat, result.target_lng)) return result;
+
+  const points = trackSnap.docs
+    .map(d => {
+      const t = d.data();
+      return { lat: Number(t.lat), lng: Number(t.lng), t: t.recordedAt?.toMillis ? t.recordedAt.toMillis() : NaN };
+    })
+    .sort((x, y) => x.t - y.t);
+
+  const distance_km = distanceKm(Number(rider_lat), Number(rider_lng), result.target_lat, result.target_lng);
+  const eta = estimateEta({
+    distance_km,
+    recent_speed_kmh: recentSpeedKmh(points),
+    car_type: (assignment.vehicle ?? activeCar)?.car_type ?? null,
+  });
+
+  return { ...result, distance_km: Math.round(distance_km * 1000) / 1000, ...eta };
+}
+
+/* --------------------------- Rider limits / geofence ---------------------------
+   RIDER_MAX_ACTIVE_JOBS : จำนวนงาน accept/transporting ที่ไรเดอร์ถือพร้อมกันได้ (default 1)
+   GEOFENCE_RADIUS_M     : ไรเดอร์ต้องอยู่ห่างจุดรับ/จุดส่งไม่เกินเท่านี้ (default 200, 0 = ปิด)
+----------------------------------------------------------------------------------- */
+const RIDER_MAX_ACTIVE_JOBS = Number(process.env.RIDER_MAX_ACTIVE_JOBS || 1);
+const GEOFENCE_RADIUS_M = Number(process.env.GEOFENCE_RADIUS_M ?? 200);
+
+/**
+ * โยน 409 OUTSIDE_GEOFENCE ถ้าตำแหน่งไรเดอร์อยู่นอกรัศมีของ user_address
+ * address ที่ไม่มีพิกัด → ตรวจไม่ได้ ปล่อยผ่าน
+ * @param {object|undefined} addr ข้อมูล user_address
+ * @param {string} label "pickup" | "drop-off" ไว้ใส่ใน error
+ */
+function assertWithinGeofence(addr, rider_lat, rider_lng, label) {
+  if (!GEOFENCE_RADIUS_M || !addr || !isValidLatLng(addr.lat, addr.lng)) return;
+
+  const distance_m = Math.round(
+    distanceKm(Number(rider_lat), Number(rider_lng), Number(addr.lat), Number(addr.lng)) * 1000
+  );
+  if (distance_m > GEOFENCE_RADIUS_M) {
+    throw new ConflictError(
+      "OUTSIDE_GEOFENCE",
+      `Rider is too far from the ${label} location (${distance_m} m > ${GEOFENCE_RADIUS_M} m)`,
+      { target: label, distance_m, max_distance_m: GEOFENCE_RADIUS_M }
+    );
+  }
+}
+
 /* --------------------------------- Creators --------------------------------- */
 async function createUser({ name, password, phone, picture, role }) {
-  if (!name || !password || !phone) {
-    const e = new Error("name, password, phone are required");
-    e.code = 400; throw e;
-  }
   const roleInt = normalizeRoleInt(role);
   await assertPhoneNotDuplicate(phone);
 
@@ -112,21 +484,114 @@ async function createUser({ name, password, phone, picture, role }) {
   const data = {
     user_id: idNum,
     name: String(name),
-    password: String(password),               // DEMO: โปรดใช้ bcrypt ในโปรดักชัน
+    password: await hashPassword(password),   // scrypt hash (lib/password.js)
     phone: String(phone),
     picture: picture ? String(picture) : null,
-    role: roleInt,                            // int: 0/1
+    role: roleInt,                            // int: 0=user, 1=rider, 2=admin
   };
 
-  await db.collection(USER_COL).doc(id).set(data);
-  return { id, ...data };
+  await db.collection(USER_COL).doc(id).set({
+    ...data,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  return { id, ...publicUser(data) };
+}
+
+/* ---------------------------------- Vehicles ----------------------------------
+   rider_car = รถของไรเดอร์ มีได้หลายคัน แต่ is_active ได้คันเดียว (คันที่ใช้รับงาน)
+   - คันแรกของไรเดอร์เป็น active อัตโนมัติ
+   - plate_number เก็บแบบ normalize (ตัวพิมพ์ใหญ่ / ช่องว่างเดียว) และห้ามซ้ำกับคันอื่นที่ยังไม่ถูกลบ
+     จองป้ายด้วย rider_plate/<ป้าย> (tx.create ใน transaction เดียวกับที่เขียนรถ) → สมัครพร้อมกันได้คันเดียว
+     ลบรถ / เปลี่ยนป้าย / ลบบัญชี → ปล่อยใบจองเดิม (รถเก่าก่อนมีใบจองยังตรวจด้วย query ตาม plate_number)
+   - ลบเป็น soft delete (deleted = true) — delivery_assignment เก่าเก็บ snapshot ของรถไว้แล้ว
+   ข้อมูลเก่าก่อนมี is_active: ถ้าไม่มีคันไหน active เลย ถือคันที่ rider_id น้อยสุดเป็น active
+-------------------------------------------------------------------------------- */
+function normalizePlate(plate) {
+  return String(plate).trim().replace(/\s+/g, " ").toUpperCase();
 }
 
-async function createRiderCar({ user_id, image_car, plate_number, car_type }) {
-  if (!user_id || !plate_number || !car_type) {
-    const e = new Error("user_id, plate_number, car_type are required");
-    e.code = 400; throw e;
+// doc id ห้ามมี "/" → encode
+const plateRef = (plate_number) => db.collection(PLATE_COL).doc(encodeURIComponent(plate_number));
+
+/**
+ * ป้ายนี้ยังว่าง (ไม่มีใบจองของคันอื่น และไม่มีรถเก่าที่ยังไม่ถูกลบใช้อยู่) ไม่งั้น 409 PLATE_TAKEN
+ * ส่ง tx มา → อ่านใน transaction (ต้องเรียกก่อนเขียน)
+ */
+async function assertPlateNotDuplicate(plate, { exceptId = null, tx = null } = {}) {
+  const plate_number = normalizePlate(plate);
+  const read = (refOrQuery) => (tx ? tx.get(refOrQuery) : refOrQuery.get());
+  const [held, cars] = await Promise.all([
+    read(plateRef(plate_number)),
+    read(db.collection(RIDER_COL).where("plate_number", "==", plate_number)),
+  ]);
+  const taken = (held.exists && String(held.data().rider_car_id) !== String(exceptId))
+    || cars.docs.some(d => d.id !== String(exceptId) && !d.data().deleted);
+  if (taken) {
+    throw new ConflictError("PLATE_TAKEN", "plate_number already registered", { plate_number });
   }
+}
+
+/** จองป้ายให้รถคันนี้ (เขียนใน transaction/batch — มีใบจองอยู่แล้ว → commit ล้ม) */
+function reservePlate(writer, plate_number, { rider_car_id, user_id }) {
+  writer.create(plateRef(plate_number), {
+    plate_number,
+    rider_car_id: Number(rider_car_id),
+    user_id,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/** รถทุกคันของไรเดอร์ที่ยังไม่ถูกลบ (active ขึ้นก่อน แล้วเรียงตาม rider_id) */
+function riderVehiclesOf(docs) {
+  const cars = docs
+    .map(d => ({ id: d.id, ...d.data() }))
+    .filter(c => !c.deleted)
+    .sort((a, b) => Number(a.rider_id || 0) - Number(b.rider_id || 0));
+  if (cars.length && !cars.some(c => c.is_active)) cars[0] = { ...cars[0], is_active: true };
+  return [...cars.filter(c => c.is_active), ...cars.filter(c => !c.is_active)];
+}
+
+function riderVehiclesQuery(uid) {
+  return db.collection(RIDER_COL).where("user_id", "==", Number(uid));
+}
+
+/** รถที่ active ของไรเดอร์ หรือ null */
+async function getActiveVehicle(uid) {
+  const snap = await riderVehiclesQuery(uid).get();
+  return riderVehiclesOf(snap.docs)[0] ?? null;
+}
+
+/** snapshot ของรถที่เก็บลง delivery_assignment ตอนรับงาน */
+function vehicleSnapshot(car) {
+  return {
+    rider_car_id: Number(car.rider_id),
+    plate_number: car.plate_number ?? null,
+    car_type: car.car_type ?? null,
+    image_car: car.image_car ?? null,
+  };
+}
+
+/**
+ * ตั้งคัน carId เป็น active และปลด active คันอื่น (ใน transaction — อ่านก่อนเขียน)
+ * @returns {Promise<void>}
+ */
+async function activateVehicle(uid, carId) {
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(riderVehiclesQuery(uid));
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    deactivateOtherVehicles(tx, snap.docs, carId, now);
+    tx.update(db.collection(RIDER_COL).doc(String(carId)), { is_active: true, updatedAt: now });
+  });
+}
+
+function deactivateOtherVehicles(tx, docs, carId, now) {
+  docs.forEach(d => {
+    if (d.id !== String(carId) && d.data().is_active !== false) tx.update(d.ref, { is_active: false, updatedAt: now });
+  });
+}
+
+async function createRiderCar({ user_id, image_car, plate_number, car_type, is_active }) {
   const riderIdNum = await nextId("rider_seq");
   const riderId = String(riderIdNum);
 
@@ -134,30 +599,58 @@ async function createRiderCar({ user_id, image_car, plate_number, car_type }) {
     rider_id: riderIdNum,
     user_id: isNaN(Number(user_id)) ? String(user_id) : Number(user_id),
     image_car: image_car ? String(image_car) : null,
-    plate_number: String(plate_number),
+    plate_number: normalizePlate(plate_number),
     car_type: String(car_type),
+    is_active: false,
+    deleted: false,
   };
 
-  await db.collection(RIDER_COL).doc(riderId).set(payload);
+  await db.runTransaction(async (tx) => {
+    await assertPlateNotDuplicate(payload.plate_number, { tx });
+    const mine = await tx.get(riderVehiclesQuery(payload.user_id));
+
+    // ไม่ระบุ is_active → active เมื่อยังไม่มีรถคันอื่น
+    payload.is_active = is_active ?? riderVehiclesOf(mine.docs).length === 0;
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    if (payload.is_active) deactivateOtherVehicles(tx, mine.docs, riderId, now);
+    reservePlate(tx, payload.plate_number, { rider_car_id: riderIdNum, user_id: payload.user_id });
+    tx.set(db.collection(RIDER_COL).doc(riderId), { ...payload, createdAt: now, updatedAt: now });
+  });
   return { id: riderId, ...payload };
 }
 
 /* ------------------------------ Address creator ------------------------------ */
 /*  - Auto-increment address_id จาก _counters/address_seq (global)
+ *  - ผู้ใช้มี is_default ได้ไม่เกิน 1 ที่อยู่ — ที่อยู่แรกของผู้ใช้เป็น default อัตโนมัติ
+ *  - ลบเป็น soft delete (deleted = true) เพราะ delivery เก่ายังอ้าง address_id อยู่
  */
-async function createAddress({ user_id, address, lat, lng }) {
-  if (!user_id || !address) {
-    const e = new Error("user_id and address are required");
-    e.code = 400; throw e;
-  }
+const ADDRESS_LABELS = ["home", "work", "other"];
+
+/** ที่อยู่ที่เป็น default อยู่ของผู้ใช้ (อ่านใน transaction ก่อนตั้ง default ใหม่) */
+function defaultAddressesQuery(uid) {
+  return db.collection(ADDR_COL)
+    .where("user_id", "==", Number(uid))
+    .where("is_default", "==", true);
+}
+
+/** delivery ที่ยังไม่จบ (waiting / accept / transporting) ที่ใช้ที่อยู่นี้เป็นจุดรับหรือจุดส่ง */
+async function openDeliveryIdsUsingAddress(addressId) {
+  const aid = Number(addressId);
+  const open = [STATUS.WAITING, ...ACTIVE_STATUSES];
+  const [asPickup, asDropoff] = await Promise.all([
+    db.collection(DELIVERY_COL).where("address_id_sender", "==", aid).where("status", "in", open).get(),
+    db.collection(DELIVERY_COL).where("address_id_receiver", "==", aid).where("status", "in", open).get(),
+  ]);
+  const ids = new Set([...asPickup.docs, ...asDropoff.docs].map(d => Number(d.data().delivery_id)));
+  return [...ids].sort((a, b) => a - b);
+}
 
+async function createAddress({ user_id, address, lat, lng, label = null, is_default }) {
   // ตรวจว่ามี user จริง
   const uid = Number(user_id);
   const userDoc = await db.collection(USER_COL).doc(String(uid)).get();
-  if (!userDoc.exists) {
-    const e = new Error("user not found");
-    e.code = 404; throw e;
-  }
+  if (!userDoc.exists || userDoc.data().deleted) throw new NotFoundError("USER_NOT_FOUND", "user not found");
 
   // Auto-increment address_id จาก _counters/address_seq
   const addressIdNum = await nextId("address_seq"); // 1,2,3,...
@@ -169,166 +662,771 @@ async function createAddress({ user_id, address, lat, lng }) {
     address: String(address),
     lat: lat == null ? null : Number(lat),
     lng: lng == null ? null : Number(lng),
+    geohash: isValidLatLng(lat, lng) ? encodeGeohash(Number(lat), Number(lng)) : null,  // ใช้ค้นหางานตามรัศมี
+    label: label ?? null,         // home | work | other
+    is_default: false,
+    deleted: false,
   };
 
-  await db.collection(ADDR_COL).doc(docId).set(payload);
+  await db.runTransaction(async (tx) => {
+    const current = await tx.get(defaultAddressesQuery(uid));
+    // ไม่ระบุ is_default → เป็น default เมื่อผู้ใช้ยังไม่มี default
+    payload.is_default = is_default ?? current.empty;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    if (payload.is_default) {
+      current.docs.forEach(d => tx.update(d.ref, { is_default: false, updatedAt: now }));
+    }
+    tx.set(db.collection(ADDR_COL).doc(docId), { ...payload, createdAt: now, updatedAt: now });
+  });
+
   return { id: docId, ...payload };
 }
 
 /* ---------------------------------- Routes ---------------------------------- */
+const registerUserSchema = {
+  name: v.string({ min: 1, max: 100 }),
+  phone: v.string({ min: 1, max: 20 }),
+  password: v.string({ min: 1, max: 200, trim: false }),
+  picture: v.imageRef({ optional: true }),
+};
+
 /** สมัครผู้ใช้ทั่วไป (เฉพาะ user) — ไม่สร้าง user_address ในเส้นนี้ */
-app.post("/register/user", async (req, res) => {
+app.post("/register/user", validate({ body: registerUserSchema }), async (req, res) => {
   try {
-    const { name, phone, password, picture } = req.body ?? {};
+    const { name, phone, password } = req.body;
+    const picture = await resolveImageRef(req.body.picture, { user_id: null, field: "picture" });
     const user = await createUser({ name, phone, password, picture, role: 0 });
     return res.status(201).json({ user });
   } catch (e) {
-    return res.status(e.code || 400).json({ error: e.message, ...(e.payload || {}) });
+    return sendError(res, e);
   }
 });
 
 /** สมัครไรเดอร์ (user role=1 + rider_car) — ไม่มี address */
-app.post("/register/rider", async (req, res) => {
+app.post("/register/rider", validate({
+  body: {
+    ...registerUserSchema,
+    plate_number: v.string({ min: 1, max: 20 }),
+    car_type: v.string({ enum: CAR_TYPES }),
+    image_car: v.imageRef({ optional: true }),
+  },
+}), async (req, res) => {
   try {
-    const { name, phone, password, picture, image_car, plate_number, car_type } = req.body ?? {};
+    const { name, phone, password, plate_number, car_type } = req.body;
+    const picture = await resolveImageRef(req.body.picture, { user_id: null, field: "picture" });
+    const image_car = await resolveImageRef(req.body.image_car, { user_id: null, field: "image_car" });
+    await assertPlateNotDuplicate(plate_number);   // ตรวจก่อนสร้าง user จะได้ไม่เหลือ user ไม่มีรถ
     const user = await createUser({ name, phone, password, picture, role: 1 });
-    const rider_car = await createRiderCar({ user_id: user.id, image_car, plate_number, car_type });
+    let rider_car;
+    try {
+      rider_car = await createRiderCar({ user_id: user.id, image_car, plate_number, car_type });
+    } catch (err) {
+      // ป้ายถูกจองตัดหน้าระหว่างสร้าง user → ลบ user ทิ้ง ให้สมัครใหม่ได้ด้วยเบอร์เดิม
+      await db.collection(USER_COL).doc(String(user.id)).delete();
+      throw err;
+    }
     return res.status(201).json({ user, rider_car });
   } catch (e) {
-    return res.status(e.code || 400).json({ error: e.message, ...(e.payload || {}) });
+    return sendError(res, e);
   }
 });
 
-app.post("/login", async (req, res) => {
+app.post("/login", validate({
+  body: { phone: v.string({ min: 1 }), password: v.string({ min: 1, trim: false }) },
+}), async (req, res) => {
   try {
-    const { phone, password } = req.body ?? {};
-    if (!phone || !password)
-      return res.status(400).json({ error: "phone and password are required" });
+    const { phone, password } = req.body;
 
     const snap = await db.collection(USER_COL)
       .where("phone","==",String(phone))
       .limit(1)
       .get();
 
-    if (snap.empty) return res.status(401).json({ error: "invalid credentials" });
+    if (snap.empty) throw new UnauthorizedError("INVALID_CREDENTIALS", "invalid credentials");
     const d = snap.docs[0];
     const u = d.data();
-    if (String(u.password) !== String(password))
-      return res.status(401).json({ error: "invalid credentials" });
+    const { ok, needsRehash } = await verifyPassword(password, u.password);
+    if (!ok) throw new UnauthorizedError("INVALID_CREDENTIALS", "invalid credentials");
+    if (u.suspended) {
+      throw new ForbiddenError("ACCOUNT_SUSPENDED", "account suspended", { reason: u.suspended_reason ?? null });
+    }
+
+    // ข้อมูลเก่าที่ยังเป็น plaintext → re-hash ทันทีหลัง login สำเร็จ
+    if (needsRehash) {
+      await d.ref.update({ password: await hashPassword(password) });
+    }
+
+    const tokens = issueTokens({ user_id: d.id, role: u.role, token_version: u.token_version ?? 0 });
+    res.json({ id: d.id, name: u.name, phone: u.phone, role: Number(u.role), ...tokens });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
 
-    res.json({ id: d.id, name: u.name, phone: u.phone, role: Number(u.role) });
+/* ------------------------------ Refresh token ------------------------------
+POST /auth/refresh
+body: { refresh_token }
+-> access_token + refresh_token ชุดใหม่ (role อ่านจาก user ล่าสุด)
+   บัญชีที่ลบแล้ว / token ที่ออกก่อนเปลี่ยนรหัสผ่าน → 401 INVALID_TOKEN
+---------------------------------------------------------------------------- */
+app.post("/auth/refresh", validate({ body: { refresh_token: v.string({ min: 1 }) } }), async (req, res) => {
+  try {
+    const claims = verifyToken(req.body.refresh_token, "refresh");
+    const session = await loadSession(claims);
+    res.json({ id: String(session.user_id), role: session.role, ...issueTokens(session) });
+  } catch (e) {
+    sendError(res, e);
+  }
+});
+
+/* ==================================== Account ====================================
+   แก้โปรไฟล์ / เปลี่ยนรหัสผ่าน / ลบบัญชี — ทำได้เฉพาะเจ้าของบัญชี (id ใน path ต้องตรงกับ token)
+---------------------------------------------------------------------------------- */
+const DELETED_USER_NAME = "Deleted user";
+
+/* ------------------------------- Update profile -------------------------------
+PATCH /users/:id
+body: { name?, phone?, picture? }   (picture = upload_id หรือ URL) — ส่งเฉพาะ field ที่จะแก้
+-> { user }
+---------------------------------------------------------------------------- */
+app.patch("/users/:id", validate({
+  params: { id: v.id() },
+  body: {
+    name: v.string({ optional: true, min: 1, max: 100 }),
+    phone: v.string({ optional: true, min: 1, max: 20 }),
+    picture: v.imageRef({ optional: true }),
+  },
+}), async (req, res) => {
+  try {
+    const uid = resolveActor(req, req.params.id, "id");
+    const { name, phone } = req.body;
+
+    const ref = db.collection(USER_COL).doc(String(uid));
+    const snap = await ref.get();
+    if (!snap.exists || snap.data().deleted) throw new NotFoundError("USER_NOT_FOUND", "user not found");
+
+    const patch = {};
+    if (name !== undefined) patch.name = name;
+    if (phone !== undefined && phone !== snap.data().phone) {
+      await assertPhoneNotDuplicate(phone);
+      patch.phone = phone;
+    }
+    if (req.body.picture !== undefined) {
+      patch.picture = await resolveImageRef(req.body.picture, { user_id: uid, field: "picture" });
+    }
+
+    if (Object.keys(patch).length) {
+      patch.updatedAt = admin.firestore.FieldValue.serverTimestamp();
+      await ref.update(patch);
+    }
+
+    const after = await ref.get();
+    return res.json({ user: { id: after.id, ...publicUser(after.data()) } });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ------------------------------ Change password ------------------------------
+POST /users/:id/password
+body: { old_password, new_password }
+-> access_token + refresh_token ชุดใหม่ (refresh token ที่ออกก่อนเปลี่ยนรหัสใช้ไม่ได้อีก)
+---------------------------------------------------------------------------- */
+app.post("/users/:id/password", validate({
+  params: { id: v.id() },
+  body: {
+    old_password: v.string({ min: 1, max: 200, trim: false }),
+    new_password: v.string({ min: 1, max: 200, trim: false }),
+  },
+}), async (req, res) => {
+  try {
+    const uid = resolveActor(req, req.params.id, "id");
+    const { old_password, new_password } = req.body;
+
+    const ref = db.collection(USER_COL).doc(String(uid));
+    const snap = await ref.get();
+    if (!snap.exists || snap.data().deleted) throw new NotFoundError("USER_NOT_FOUND", "user not found");
+
+    const { ok } = await verifyPassword(old_password, snap.data().password);
+    if (!ok) throw new ForbiddenError("WRONG_PASSWORD", "old password is incorrect");
+    const password = await hashPassword(new_password);
+
+    // token_version + 1 → token ทุกใบที่ออกก่อนหน้านี้ใช้ไม่ได้ (ชุดใหม่ด้านล่างได้ version ใหม่)
+    const u = await db.runTransaction(async (tx) => {
+      const cur = (await tx.get(ref)).data();
+      const token_version = Number(cur.token_version ?? 0) + 1;
+      tx.update(ref, {
+        password,
+        token_version,
+        passwordChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return { ...cur, token_version };
+    });
+
+    return res.json({ id: String(uid), role: Number(u.role), ...issueTokens({ user_id: uid, role: u.role, token_version: u.token_version }) });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ------------------------------- Delete account -------------------------------
+DELETE /users/:id
+body: { password }
+- ยังมีงานค้าง (เป็นผู้ส่ง/ผู้รับของ delivery ที่ยังไม่จบ หรือเป็นไรเดอร์ที่ถืองานอยู่) → 409
+- ไม่ลบ document จริง (delivery / ประวัติยังอ้าง id อยู่) แต่ล้างข้อมูลส่วนตัวออก:
+    user       : name = "Deleted user", phone/picture/password = null, deleted = true
+    user_address: address = "", lat/lng/geohash = null, deleted = true
+    rider_car  : plate_number/image_car = null, deleted = true
+  เบอร์โทรจึงว่างให้คนอื่นสมัครใหม่ได้ และ login / refresh ด้วยบัญชีนี้ไม่ได้อีก
+-> { ok: true }
+---------------------------------------------------------------------------- */
+app.delete("/users/:id", validate({
+  params: { id: v.id() },
+  body: { password: v.string({ min: 1, max: 200, trim: false }) },
+}), async (req, res) => {
+  try {
+    const uid = resolveActor(req, req.params.id, "id");
+
+    const ref = db.collection(USER_COL).doc(String(uid));
+    const snap = await ref.get();
+    if (!snap.exists || snap.data().deleted) throw new NotFoundError("USER_NOT_FOUND", "user not found");
+
+    const { ok } = await verifyPassword(req.body.password, snap.data().password);
+    if (!ok) throw new ForbiddenError("WRONG_PASSWORD", "password is incorrect");
+
+    const open = [STATUS.WAITING, ...ACTIVE_STATUSES];
+    const [asSender, asReceiver, asRider] = await Promise.all([
+      db.collection(DELIVERY_COL).where("user_id_sender", "==", uid).where("status", "in", open).get(),
+      db.collection(DELIVERY_COL).where("user_id_receiver", "==", uid).where("status", "in", open).get(),
+      db.collection(ASSIGN_COL).where("rider_id", "==", uid).where("status", "in", ACTIVE_STATUSES).get(),
+    ]);
+    const activeIds = new Set([
+      ...asSender.docs.map(d => Number(d.data().delivery_id)),
+      ...asReceiver.docs.map(d => Number(d.data().delivery_id)),
+      ...asRider.docs.map(d => Number(d.data().delivery_id)),
+    ]);
+    if (activeIds.size) {
+      throw new ConflictError("USER_HAS_ACTIVE_DELIVERIES", "finish or cancel active deliveries before deleting the account", {
+        delivery_ids: [...activeIds].sort((a, b) => a - b),
+      });
+    }
+
+    const [addrSnap, carSnap, deviceSnap] = await Promise.all([
+      db.collection(ADDR_COL).where("user_id", "==", uid).get(),
+      db.collection(RIDER_COL).where("user_id", "==", uid).get(),
+      db.collection(DEVICE_COL).where("user_id", "==", uid).get(),
+    ]);
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const writes = [
+      [ref, {
+        name: DELETED_USER_NAME, phone: null, picture: null, password: null,
+        deleted: true, deletedAt: now, updatedAt: now,
+      }],
+      ...addrSnap.docs.map(d => [d.ref, {
+        address: "", lat: null, lng: null, geohash: null, label: null,
+        is_default: false, deleted: true, deletedAt: d.data().deletedAt ?? now, updatedAt: now,
+      }]),
+      ...carSnap.docs.map(d => [d.ref, {
+        plate_number: null, image_car: null, is_active: false,
+        deleted: true, deletedAt: d.data().deletedAt ?? now, updatedAt: now,
+      }]),
+      ...carSnap.docs.filter(d => !d.data().deleted && d.data().plate_number).map(d => [plateRef(d.data().plate_number), null]),
+      ...deviceSnap.docs.map(d => [d.ref, null]),   // null = ลบทิ้ง (เลิกส่ง push / ปล่อยใบจองป้าย)
+    ];
+
+    // batch ละไม่เกิน 500 writes
+    for (let i = 0; i < writes.length; i += 400) {
+      const batch = db.batch();
+      for (const [r, data] of writes.slice(i, i + 400)) {
+        if (data) batch.update(r, data);
+        else batch.delete(r);
+      }
+      await batch.commit();
+    }
+
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ------------------------------- Push devices -------------------------------
+POST   /users/:id/devices   body: { token: string, platform: "android"|"ios"|"web" }  -> 201 { device }
+DELETE /users/:id/devices   body: { token: string }                                  -> { ok: true }
+- token = FCM registration token จากแอป (ลงทะเบียนใหม่ทุกครั้งที่แอปได้ token ใหม่ / login)
+- token เดียวกันผูกได้กับผู้ใช้คนเดียว — เครื่องที่เปลี่ยนคน login ย้ายไปเป็นของคนล่าสุด
+- token ที่ FCM แจ้งว่าใช้ไม่ได้แล้วถูกลบเองตอนส่ง
+---------------------------------------------------------------------------- */
+const DEVICE_PLATFORMS = ["android", "ios", "web"];
+
+// token ยาวและมีอักขระที่ไม่เหมาะเป็น doc id → ใช้ hash แทน
+const deviceRef = (token) => db.collection(DEVICE_COL).doc(crypto.createHash("sha256").update(token).digest("hex"));
+
+app.post("/users/:id/devices", validate({
+  params: { id: v.id() },
+  body: {
+    token: v.string({ min: 1, max: 4096 }),
+    platform: v.string({ enum: DEVICE_PLATFORMS }),
+  },
+}), async (req, res) => {
+  try {
+    const uid = resolveActor(req, req.params.id, "id");
+    const { token, platform } = req.body;
+
+    const ref = deviceRef(token);
+    const snap = await ref.get();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const device = { token, user_id: uid, platform };
+    await ref.set({
+      ...device,
+      createdAt: snap.exists && Number(snap.data().user_id) === uid ? snap.data().createdAt : now,
+      updatedAt: now,
+    });
+
+    return res.status(201).json({ device });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+app.delete("/users/:id/devices", validate({
+  params: { id: v.id() },
+  body: { token: v.string({ min: 1, max: 4096 }) },
+}), async (req, res) => {
+  try {
+    const uid = resolveActor(req, req.params.id, "id");
+    const ref = deviceRef(req.body.token);
+
+    // ลบเฉพาะถ้าเป็นของผู้เรียก (token ถูกย้ายไปคนอื่นแล้ว → ไม่แตะ)
+    const snap = await ref.get();
+    if (!snap.exists || Number(snap.data().user_id) !== uid) {
+      throw new NotFoundError("DEVICE_NOT_FOUND", "device token not registered for this user");
+    }
+    await ref.delete();
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ==================================== Uploads ====================================
+   รูปทุกชนิด (สินค้า / หลักฐาน status1-3 / โปรไฟล์ / รถ) อัปโหลดที่นี่ก่อน
+   แล้วส่ง upload_id (หรือ url) ให้เส้น register / delivery แทน base64
+   ไฟล์เก็บผ่าน lib/storage.js (local ตอน dev, Firebase Storage ตอนโปรดักชัน)
+================================================================================ */
+const storage = createStorageFromEnv(admin);
+if (storage.driver === "local") {
+  app.use(LOCAL_ROUTE, express.static(storage.dir, { immutable: true, maxAge: "365d" }));
+}
+
+const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 8 * 1024 * 1024);
+const UPLOAD_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const UPLOAD_PURPOSES = ["product", "proof", "profile", "car", "chat"];
+const UPLOAD_ANON_PURPOSES = ["profile", "car"];   // ใช้ตอนสมัคร ยังไม่มี token
+const UPLOAD_MAX_PIXELS = Number(process.env.UPLOAD_MAX_PIXELS || 40_000_000);   // กันรูปเล็กแต่ขยายแล้วกิน RAM
+const THUMB_SIZE = 320;
+
+// อัปโหลดแบบไม่มี login ต่อ IP
+const anonUploadLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.UPLOAD_ANON_PER_HOUR || 20),
+});
+
+const uploadFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 },
+  fileFilter: (_req, file, cb) => {
+    if (UPLOAD_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    return cb(new UnsupportedMediaTypeError(
+      "UNSUPPORTED_FILE_TYPE",
+      `file type must be one of ${UPLOAD_MIME_TYPES.join(", ")}`,
+      { allowed: UPLOAD_MIME_TYPES }
+    ));
+  },
+}).single("file");
+
+/**
+ * ค่ารูปที่ client ส่งมาในเส้นอื่น → URL ที่จะเก็บลง document
+ * - upload_id (ตัวเลข) → url ของไฟล์นั้น (ต้องเป็นของผู้เรียก)
+ * - upload_token      → url ของไฟล์ที่อัปโหลดแบบไม่มี login (ใช้ได้ครั้งเดียว)
+ * - URL http(s)       → เก็บตามนั้น
+ * - อย่างอื่น (เช่น base64) → 400 INVALID_IMAGE_REF
+ * @param {*} value
+ * @param {{ user_id:number|null, field:string }} opts
+ * @returns {Promise<string|null>}
+ */
+async function resolveImageRef(value, { user_id, field }) {
+  if (value == null || value === "") return null;
+
+  const str = String(value).trim();
+  if (/^\d+$/.test(str)) {
+    const snap = await db.collection(UPLOAD_COL).doc(str).get();
+    if (!snap.exists) {
+      throw new BadRequestError("UPLOAD_NOT_FOUND", `${field}: upload ${str} not found`, { field, upload_id: Number(str) });
+    }
+    const u = snap.data();
+    if (u.user_id == null) {
+      throw new ForbiddenError("UPLOAD_TOKEN_REQUIRED", `${field}: upload ${str} was made without login; send its upload_token instead`, { field, upload_id: Number(str) });
+    }
+    if (Number(u.user_id) !== Number(user_id)) {
+      throw new ForbiddenError("UPLOAD_NOT_OWNED", `${field}: upload ${str} belongs to another user`, { field, upload_id: Number(str) });
+    }
+    return u.url;
+  }
+
+  if (/^[\w-]+\.[\w-]+\.[\w-]+$/.test(str)) return claimUploadToken(str, field);
+
+  if (/^https?:\/\//i.test(str) && str.length <= 2048) return str;
+
+  throw new BadRequestError("INVALID_IMAGE_REF", `${field} must be an upload_id from POST /uploads or an image URL`, { field });
+}
+
+/** upload_token → url ของรูป และทำเครื่องหมายว่าใช้แล้ว (ใช้ซ้ำ → 409 UPLOAD_TOKEN_USED) */
+async function claimUploadToken(token, field) {
+  let claims;
+  try {
+    claims = verifyToken(token, "upload");
+  } catch (e) {
+    throw new BadRequestError("INVALID_UPLOAD_TOKEN", `${field}: ${e.message}`, { field, reason: e.code });
+  }
+
+  const ref = db.collection(UPLOAD_COL).doc(String(claims.sub));
+  return db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists || snap.data().user_id != null) {
+      throw new BadRequestError("UPLOAD_NOT_FOUND", `${field}: upload not found`, { field });
+    }
+    if (snap.data().claimedAt) {
+      throw new ConflictError("UPLOAD_TOKEN_USED", `${field}: upload_token has already been used`, { field });
+    }
+    tx.update(ref, { claimedAt: admin.firestore.FieldValue.serverTimestamp() });
+    return snap.data().url;
+  });
+}
+
+/* ------------------------------- Upload image -------------------------------
+POST /uploads   (multipart/form-data)
+fields: file=<image jpeg/png/webp>, purpose=product|proof|profile|car|chat
+- ไม่มี token อัปโหลดได้เฉพาะ purpose = profile | car (ใช้ตอนสมัคร)
+  จำกัด UPLOAD_ANON_PER_HOUR ครั้งต่อ IP (เกิน → 429 TOO_MANY_UPLOADS)
+  ได้ upload_token (อายุ UPLOAD_TOKEN_TTL_SEC) ไว้ส่งเป็น picture / image_car ตอนสมัคร — ใช้ได้ครั้งเดียว
+  upload_id ของไฟล์พวกนี้ใช้อ้างไม่ได้
+- รูปเกิน UPLOAD_MAX_PIXELS พิกเซล → 413 IMAGE_TOO_LARGE
+- รูปถูก re-encode (หมุนตาม EXIF + ตัด metadata/GPS ทิ้ง) และทำ thumbnail ขนาด 320px
+-> 201 { upload_id, url, thumbnail_url, content_type, size, width, height, purpose, upload_token? }
+---------------------------------------------------------------------------- */
+/** จำกัดอัปโหลดแบบไม่มี login ก่อนรับไฟล์ (ไม่เสียแรง parse / ย่อรูป) */
+function limitAnonymousUploads(req, res, next) {
+  if (req.auth) return next();
+  const { ok, retry_after_s } = anonUploadLimiter.hit(req.ip);
+  if (ok) return next();
+  res.set("Retry-After", String(retry_after_s));
+  return sendError(res, new TooManyRequestsError("TOO_MANY_UPLOADS", "too many uploads without login; try again later", { retry_after_s }));
+}
+
+/** multer → req.file (error ของ multer แปลงเป็น AppError) */
+function receiveUpload(req, res, next) {
+  uploadFile(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return next(new PayloadTooLargeError("FILE_TOO_LARGE", err.message, { max_bytes: UPLOAD_MAX_BYTES }));
+      }
+      return next(new BadRequestError("INVALID_UPLOAD", err.message, { reason: err.code }));
+    }
+    return next(err);
+  });
+}
+
+app.post("/uploads", limitAnonymousUploads, receiveUpload, validate({
+  body: { purpose: v.string({ enum: UPLOAD_PURPOSES }) },
+}), async (req, res) => {
+  try {
+    if (!req.file) throw new ValidationError([{ field: "body.file", message: "is required" }]);
+
+    const { purpose } = req.body;
+    const user_id = req.auth?.user_id ?? null;
+    if (user_id == null && !UPLOAD_ANON_PURPOSES.includes(purpose)) {
+      throw new UnauthorizedError("MISSING_TOKEN", "missing bearer token", { anonymous_purposes: UPLOAD_ANON_PURPOSES });
+    }
+
+    // ตรวจว่าเป็นรูปจริง (ไม่เชื่อ mimetype จาก client)
+    const image = () => sharp(req.file.buffer, { limitInputPixels: UPLOAD_MAX_PIXELS });
+    let meta;
+    try {
+      meta = await sharp(req.file.buffer, { limitInputPixels: false }).metadata();   // อ่านแค่ header — ขนาดตรวจด้านล่าง
+    } catch {
+      throw new UnsupportedMediaTypeError("INVALID_IMAGE", "file is not a valid image");
+    }
+    const format = { jpeg: "jpeg", png: "png", webp: "webp" }[meta.format];
+    if (!format) {
+      throw new UnsupportedMediaTypeError("UNSUPPORTED_FILE_TYPE", `unsupported image format '${meta.format}'`, { allowed: UPLOAD_MIME_TYPES });
+    }
+    if (!(meta.width * meta.height <= UPLOAD_MAX_PIXELS)) {
+      throw new PayloadTooLargeError("IMAGE_TOO_LARGE", `image must be at most ${UPLOAD_MAX_PIXELS} pixels`, {
+        max_pixels: UPLOAD_MAX_PIXELS, width: meta.width ?? null, height: meta.height ?? null,
+      });
+    }
+
+    const [original, thumb] = await Promise.all([
+      image().rotate().toFormat(format).toBuffer({ resolveWithObject: true }),
+      image().rotate()
+        .resize(THUMB_SIZE, THUMB_SIZE, { fit: "inside", withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer(),
+    ]);
+
+    const uploadIdNum = await nextId("upload_seq");
+    const base = `${purpose}/${uploadIdNum}-${crypto.randomBytes(8).toString("hex")}`;
+    const ext = format === "jpeg" ? "jpg" : format;
+    const key = `${base}.${ext}`;
+    const thumb_key = `${base}_thumb.webp`;
+    const content_type = `image/${format}`;
+
+    const [url, thumbnail_url] = await Promise.all([
+      storage.save(key, original.data, content_type),
+      storage.save(thumb_key, thumb, "image/webp"),
+    ]);
+
+    const payload = {
+      upload_id: uploadIdNum,
+      user_id,
+      purpose,
+      content_type,
+      size: original.info.size,
+      width: original.info.width,
+      height: original.info.height,
+      storage: storage.driver,
+      key,
+      thumb_key,
+      url,
+      thumbnail_url,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    await db.collection(UPLOAD_COL).doc(String(uploadIdNum)).set(payload);
+
+    const { createdAt, key: _k, thumb_key: _t, storage: _s, ...out } = payload;
+    if (user_id == null) {
+      return res.status(201).json({ ...out, upload_token: issueUploadToken(uploadIdNum), upload_token_expires_in: UPLOAD_TOKEN_TTL_SEC });
+    }
+    return res.status(201).json(out);
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    return sendError(res, e);
+  }
+});
+
+/* ------------------------------- Get upload -------------------------------
+GET /uploads/:id  -> { upload_id, url, thumbnail_url, ... }   (เจ้าของ upload หรือ admin)
+---------------------------------------------------------------------------- */
+app.get("/uploads/:id", validate({ params: { id: v.id() } }), async (req, res) => {
+  try {
+    const snap = await db.collection(UPLOAD_COL).doc(String(req.params.id)).get();
+    if (!snap.exists) throw new NotFoundError("UPLOAD_NOT_FOUND", "upload not found");
+    if (req.auth.role !== ROLE_ADMIN && Number(snap.data().user_id) !== req.auth.user_id) {
+      throw new ForbiddenError("UPLOAD_NOT_OWNED", "upload belongs to another user");
+    }
+    const { key, thumb_key, storage: _s, ...u } = snap.data();
+    return res.json(u);
+  } catch (e) {
+    return sendError(res, e);
   }
 });
 
 /* =============================== Addresses (BODY ONLY) =============================== */
 /** CREATE — เพิ่มที่อยู่ให้ผู้ใช้
  *  POST /users/addresses
- *  body: { user_id:number, address:string, lat?:number, lng?:number }
+ *  body: { user_id?:number, address:string, lat?:number, lng?:number,
+ *          label?: "home"|"work"|"other", is_default?:boolean }  (user_id มาจาก token)
+ *  is_default = true → ที่อยู่ default เดิมของผู้ใช้ถูกยกเลิก default
  */
-app.post("/users/addresses", async (req, res) => {
+app.post("/users/addresses", validate({
+  body: {
+    user_id: v.id({ optional: true }),
+    address: v.string({ min: 1, max: 500 }),
+    lat: v.lat({ optional: true }),
+    lng: v.lng({ optional: true }),
+    label: v.string({ optional: true, enum: ADDRESS_LABELS }),
+    is_default: v.boolean({ optional: true }),
+  },
+}), async (req, res) => {
   try {
-    const { user_id, address, lat, lng } = req.body ?? {};
-    const doc = await createAddress({ user_id, address, lat, lng });
+    const { address, lat, lng, label, is_default } = req.body;
+    const user_id = resolveActor(req, req.body.user_id);
+    const doc = await createAddress({ user_id, address, lat, lng, label, is_default });
     return res.status(201).json(doc);
   } catch (e) {
-    return res.status(e.code || 400).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 /* ----------------------- Get Address By ID -----------------------
-GET /users/address/1
+GET /users/address/1   (เจ้าของที่อยู่ หรือ admin — ที่อยู่ของงานดูผ่าน GET /delivery/:id)
 ------------------------------------------------------------------ */
-app.get("/users/address/:id", async (req, res) => {
+app.get("/users/address/:id", validate({ params: { id: v.id() } }), async (req, res) => {
   try {
     const { id } = req.params;
-    if (!id) return res.status(400).json({ error: "address_id is required" });
 
     const doc = await db.collection(ADDR_COL).doc(String(id)).get();
-    if (!doc.exists) {
-      return res.status(404).json({ error: "address not found" });
+    if (!doc.exists) throw new NotFoundError("ADDRESS_NOT_FOUND", "address not found");
+    if (req.auth.role !== ROLE_ADMIN && Number(doc.data().user_id) !== req.auth.user_id) {
+      throw new ForbiddenError("ADDRESS_NOT_OWNED", "not authorized to view this address");
     }
 
     return res.json({ id: doc.id, ...doc.data() });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 
-app.post("/users/addresses/list", async (req, res) => {
+app.post("/users/addresses/list", validate({ body: { user_id: v.id({ optional: true }) } }), async (req, res) => {
   try {
-    const { user_id } = req.body ?? {};
-    if (user_id == null) return res.status(400).json({ error: "user_id is required" });
-
-    const uid = Number(user_id);
+    const uid = resolveActor(req, req.body.user_id);
 
     const snap = await db.collection(ADDR_COL)
       .where("user_id", "==", uid)
       .get();
 
+    // ที่อยู่ที่ลบแล้ว (soft delete) ไม่แสดง; default ขึ้นก่อน
     const items = snap.docs
       .map(d => ({ id: d.id, ...d.data() }))
-      .sort((a, b) => (Number(a.address_id || 0) - Number(b.address_id || 0)));
+      .filter(a => !a.deleted)
+      .sort((a, b) => (Number(!!b.is_default) - Number(!!a.is_default))
+        || (Number(a.address_id || 0) - Number(b.address_id || 0)));
 
     return res.json({ count: items.length, items });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
-app.post("/users/by-phone", async (req, res) => {
+// POST /users/by-phone  (admin เท่านั้น — ผู้ส่งหาผู้รับด้วย POST /delivery/search-receiver)
+app.post("/users/by-phone", requireRole(ROLE_ADMIN), validate({ body: { phone: v.string({ min: 1, max: 20 }) } }), async (req, res) => {
   try {
-    const { phone } = req.body ?? {};
-    if (!phone) return res.status(400).json({ error: "phone is required" });
+    const { phone } = req.body;
 
     const snap = await db.collection(USER_COL)
       .where("phone", "==", String(phone))
       .limit(1)
       .get();
 
-    if (snap.empty) return res.status(404).json({ error: "not found" });
+    if (snap.empty) throw new NotFoundError("USER_NOT_FOUND", "user not found");
 
     const d = snap.docs[0];
-    return res.json({ id: d.id, ...d.data() });
+    return res.json({ id: d.id, ...publicUser(d.data()) });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 
-//delete address
-app.post("/users/addresses/delete", async (req, res) => {
+/* ----------------------- Update Address -----------------------
+POST /users/addresses/update
+body: { address_id, user_id?, address?, lat?, lng?, label?, is_default? }  (ส่งเฉพาะ field ที่จะแก้)
+- แก้ address / lat / lng ไม่ได้ถ้ามี delivery ที่ยังไม่จบใช้ที่อยู่นี้อยู่ → 409 ADDRESS_IN_USE
+  (ไรเดอร์กำลังไปตามพิกัดเดิม) — label / is_default แก้ได้เสมอ
+- is_default = true → ที่อยู่ default เดิมของผู้ใช้ถูกยกเลิก default
+------------------------------------------------------------------ */
+app.post("/users/addresses/update", validate({
+  body: {
+    address_id: v.id(),
+    user_id: v.id({ optional: true }),
+    address: v.string({ optional: true, min: 1, max: 500 }),
+    lat: v.lat({ optional: true }),
+    lng: v.lng({ optional: true }),
+    label: v.string({ optional: true, enum: ADDRESS_LABELS }),
+    is_default: v.boolean({ optional: true }),
+  },
+}), async (req, res) => {
   try {
-    const { user_id, address_id } = req.body ?? {};
+    const { address_id, address, lat, lng, label, is_default } = req.body;
+    const uid = resolveActor(req, req.body.user_id);
+
+    const ref = db.collection(ADDR_COL).doc(String(address_id));
+    const snap = await ref.get();
+    if (!snap.exists || snap.data().deleted) throw new NotFoundError("ADDRESS_NOT_FOUND", "address not found");
+    const cur = snap.data();
+    if (Number(cur.user_id) !== uid) {
+      throw new ForbiddenError("ADDRESS_NOT_OWNED", "not authorized to update this address");
+    }
 
-    if (user_id == null || address_id == null) {
-      return res.status(400).json({ error: "user_id and address_id are required" });
+    const patch = {};
+    if (address !== undefined) patch.address = address;
+    if (lat !== undefined || lng !== undefined) {
+      const nextLat = lat ?? cur.lat;
+      const nextLng = lng ?? cur.lng;
+      patch.lat = nextLat == null ? null : Number(nextLat);
+      patch.lng = nextLng == null ? null : Number(nextLng);
+      patch.geohash = isValidLatLng(nextLat, nextLng) ? encodeGeohash(Number(nextLat), Number(nextLng)) : null;
+    }
+    if (Object.keys(patch).length) {
+      const delivery_ids = await openDeliveryIdsUsingAddress(address_id);
+      if (delivery_ids.length) {
+        throw new ConflictError("ADDRESS_IN_USE", "address is used by deliveries that are not finished", { delivery_ids });
+      }
     }
+    if (label !== undefined) patch.label = label;
+
+    await db.runTransaction(async (tx) => {
+      const current = is_default ? await tx.get(defaultAddressesQuery(uid)) : null;
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      current?.docs.forEach(d => {
+        if (d.id !== ref.id) tx.update(d.ref, { is_default: false, updatedAt: now });
+      });
+      tx.update(ref, {
+        ...patch,
+        ...(is_default !== undefined ? { is_default } : {}),
+        updatedAt: now,
+      });
+    });
+
+    const after = await ref.get();
+    return res.json({ id: after.id, ...after.data() });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+//delete address
+/* ----------------------- Delete Address -----------------------
+POST /users/addresses/delete
+body: { address_id, user_id? }
+- มี delivery ที่ยังไม่จบใช้ที่อยู่นี้อยู่ → 409 ADDRESS_IN_USE
+- soft delete: deleted = true (ไม่ขึ้นใน list / ใช้สร้าง delivery ใหม่ไม่ได้
+  แต่ delivery เก่ายังอ่านที่อยู่ได้)
+------------------------------------------------------------------ */
+app.post("/users/addresses/delete", validate({
+  body: { address_id: v.id(), user_id: v.id({ optional: true }) },
+}), async (req, res) => {
+  try {
+    const { address_id } = req.body;
 
-    const uid = Number(user_id);
+    const uid = resolveActor(req, req.body.user_id);
     const aid = Number(address_id);
 
     // ตรวจว่า address นั้นมีอยู่จริง
     const docRef = db.collection(ADDR_COL).doc(String(aid));
     const docSnap = await docRef.get();
 
-    if (!docSnap.exists) {
-      return res.status(404).json({ error: "address not found" });
-    }
+    if (!docSnap.exists || docSnap.data().deleted) throw new NotFoundError("ADDRESS_NOT_FOUND", "address not found");
 
     const data = docSnap.data();
     if (Number(data.user_id) !== uid) {
-      return res.status(403).json({ error: "not authorized to delete this address" });
+      throw new ForbiddenError("ADDRESS_NOT_OWNED", "not authorized to delete this address");
+    }
+
+    const delivery_ids = await openDeliveryIdsUsingAddress(aid);
+    if (delivery_ids.length) {
+      throw new ConflictError("ADDRESS_IN_USE", "address is used by deliveries that are not finished", { delivery_ids });
     }
 
-    // ลบ document
-    await docRef.delete();
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await docRef.update({ deleted: true, deletedAt: now, is_default: false, updatedAt: now });
 
     return res.json({ ok: true, message: `address_id ${aid} deleted successfully` });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
@@ -337,10 +1435,9 @@ app.post("/users/addresses/delete", async (req, res) => {
 POST /delivery/search-receiver
 body: { phone: "0822054489" }
 ------------------------------------------------------------------ */
-app.post("/delivery/search-receiver", async (req, res) => {
+app.post("/delivery/search-receiver", validate({ body: { phone: v.string({ min: 1, max: 20 }) } }), async (req, res) => {
   try {
-    const { phone } = req.body ?? {};
-    if (!phone) return res.status(400).json({ error: "phone is required" });
+    const { phone } = req.body;
 
     // หา user จากเบอร์
     const userSnap = await db.collection(USER_COL)
@@ -348,9 +1445,7 @@ app.post("/delivery/search-receiver", async (req, res) => {
       .limit(1)
       .get();
 
-    if (userSnap.empty) {
-      return res.status(404).json({ error: "receiver not found" });
-    }
+    if (userSnap.empty) throw new NotFoundError("RECEIVER_NOT_FOUND", "receiver not found");
 
     const userDoc = userSnap.docs[0];
     const user = userDoc.data();
@@ -360,10 +1455,12 @@ app.post("/delivery/search-receiver", async (req, res) => {
       .where("user_id", "==", Number(user.user_id))
       .get();
 
-    const addresses = addrSnap.docs.map(d => ({
-      id: d.id,
-      ...d.data(),
-    }));
+    const addresses = addrSnap.docs
+      .filter(d => !d.data().deleted)
+      .map(d => ({
+        id: d.id,
+        ...d.data(),
+      }));
 
     return res.json({
       receiver: {
@@ -375,7 +1472,7 @@ app.post("/delivery/search-receiver", async (req, res) => {
     });
 
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
@@ -392,37 +1489,51 @@ async function createDelivery({
   detail_product,
   picture_product,
   amount,
-  status
+  weight_kg,
+  size_class,
+  quote_id,
+  cod_amount,
 }) {
-  if (!user_id_sender || !user_id_receiver || !address_id_sender || !address_id_receiver) {
-    const e = new Error("user_id_sender, user_id_receiver, address_id_sender, address_id_receiver are required");
-    e.code = 400; throw e;
-  }
-
   // ตรวจสอบ sender / receiver
   const senderDoc = await db.collection(USER_COL).doc(String(user_id_sender)).get();
-  if (!senderDoc.exists) {
-    const e = new Error("sender not found");
-    e.code = 404; throw e;
-  }
+  if (!senderDoc.exists) throw new NotFoundError("SENDER_NOT_FOUND", "sender not found");
 
   const receiverDoc = await db.collection(USER_COL).doc(String(user_id_receiver)).get();
-  if (!receiverDoc.exists) {
-    const e = new Error("receiver not found");
-    e.code = 404; throw e;
-  }
+  if (!receiverDoc.exists) throw new NotFoundError("RECEIVER_NOT_FOUND", "receiver not found");
 
   // ตรวจ address sender/receiver
   const addrSender = await db.collection(ADDR_COL).doc(String(address_id_sender)).get();
   const addrReceiver = await db.collection(ADDR_COL).doc(String(address_id_receiver)).get();
-  if (!addrSender.exists || !addrReceiver.exists) {
-    const e = new Error("address sender or receiver not found");
-    e.code = 404; throw e;
+  const senderOk = addrSender.exists && !addrSender.data().deleted;
+  const receiverOk = addrReceiver.exists && !addrReceiver.data().deleted;
+  if (!senderOk || !receiverOk) {
+    throw new NotFoundError("ADDRESS_NOT_FOUND", "address sender or receiver not found", {
+      address_id_sender: senderOk ? undefined : Number(address_id_sender),
+      address_id_receiver: receiverOk ? undefined : Number(address_id_receiver),
+    });
   }
+  assertSenderAddress(addrSender.data(), user_id_sender);
+
+  // ราคาล็อกตามใบเสนอราคา (ถ้าส่ง quote_id มา) ไม่งั้นคิดตอนนี้
+  // ไม่ระบุน้ำหนัก / ขนาด (client เก่า) → เก็บ null = รถทุกชนิดรับได้ เหมือนงานเก่า (canCarry)
+  const parcel = {
+    amount: Number(amount || 1),
+    weight_kg: weight_kg != null ? Number(weight_kg) : null,
+    size_class: size_class != null ? String(size_class) : null,
+  };
+  const price = quote_id != null
+    ? await lockedQuotePrice(quote_id, {
+      user_id: Number(user_id_sender),
+      address_id_sender: Number(address_id_sender),
+      address_id_receiver: Number(address_id_receiver),
+      ...parcel,
+    })
+    : priceDelivery(addrSender.data(), addrReceiver.data(), parcel);
 
   // Auto-increment id
   const deliveryIdNum = await nextId("delivery_seq");
   const docId = String(deliveryIdNum);
+  const pickup = pickupOf(addrSender.data());
 
   const payload = {
     delivery_id: deliveryIdNum,
@@ -431,6 +1542,7 @@ async function createDelivery({
     phone_receiver: phone_receiver ? String(phone_receiver) : null,
     address_id_sender: Number(address_id_sender),
     address_id_receiver: Number(address_id_receiver),
+    ...pickup,                              // พิกัดจุดรับ ณ ตอนสร้าง — /deliveries/waiting ค้นตามรัศมีด้วย pickup_geohash
     picture_status1: picture_status1 || null,
 
     name_product: name_product ? String(name_product) : "",
@@ -439,15 +1551,177 @@ async function createDelivery({
 
     detail_product: detail_product ? String(detail_product) : "",
     amount: Number(amount || 1),
-    status: status ? String(status) : "waiting",
+    weight_kg: parcel.weight_kg,            // น้ำหนักรวมของพัสดุ — ใช้จับคู่กับรถ (lib/vehicles.js), null = ไม่ระบุ
+    size_class: parcel.size_class,          // small | medium | large | xlarge, null = ไม่ระบุ
+    price,                                  // ค่าส่งที่ล็อกไว้ตอนสร้าง (lib/pricing.js) — null = ที่อยู่ไม่มีพิกัด
+    quote_id: quote_id ?? null,
+    cod_amount: Number(cod_amount || 0),    // เงินปลายทางที่ไรเดอร์เก็บจากผู้รับแทนผู้ส่ง (0 = ไม่มี)
+    status: STATUS.WAITING,                 // สถานะเริ่มต้นเสมอ (ไม่รับจาก client)
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
   };
 
-  await db.collection(DELIVERY_COL).doc(docId).set(payload);
-  return { id: docId, ...payload };
+  await db.runTransaction(async (tx) => {
+    // ใบเสนอราคาใช้ได้ครั้งเดียว — จองใน transaction เดียวกับที่สร้างงาน (สร้างพร้อมกันสองงาน → งานหลังได้ 409)
+    const quoteRef = quote_id != null ? db.collection(QUOTE_COL).doc(String(quote_id)) : null;
+    if (quoteRef) {
+      const qSnap = await tx.get(quoteRef);
+      assertQuoteUnused(qSnap.data(), quote_id);
+      tx.update(quoteRef, { used_by_delivery_id: deliveryIdNum, usedAt: admin.firestore.FieldValue.serverTimestamp() });
+    }
+
+    tx.set(db.collection(DELIVERY_COL).doc(docId), payload);
+    // PIN ยืนยันการรับของ — ผู้รับเห็นคนเดียว (lib/deliveryPin.js)
+    tx.set(db.collection(PIN_COL).doc(docId), {
+      delivery_id: deliveryIdNum,
+      user_id_receiver: Number(user_id_receiver),
+      pin: generatePin(),
+      attempts: 0,
+      locked: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    recordTransition(tx, {
+      delivery_id: deliveryIdNum,
+      from: null,
+      to: STATUS.WAITING,
+      actor: { user_id: Number(user_id_sender), kind: "sender" },
+    });
+  });
+
+  const { createdAt, updatedAt, ...rest } = payload;
+  return { id: docId, ...rest };
+}
+
+/** พิกัดจุดรับของงาน (คัดลอกจากที่อยู่ผู้ส่ง) — ที่อยู่ไม่มีพิกัด → null ทั้งหมด */
+function pickupOf(addr) {
+  const located = isValidLatLng(addr.lat, addr.lng);
+  return {
+    pickup_lat: located ? Number(addr.lat) : null,
+    pickup_lng: located ? Number(addr.lng) : null,
+    pickup_geohash: located ? encodeGeohash(Number(addr.lat), Number(addr.lng)) : null,
+  };
+}
+
+/* ------------------------------ ค่าส่ง (Pricing) ------------------------------
+   กติกาอยู่ที่ lib/pricing.js (ปรับด้วย ENV PRICING_RULES)
+   ใบเสนอราคามีอายุ QUOTE_TTL_MS — ส่ง quote_id ตอน /delivery/create เพื่อล็อกราคาตามที่เห็น
+   ใช้ได้กับงานเดียว (used_by_delivery_id) ใช้ซ้ำ → 409 QUOTE_ALREADY_USED
+   (เช่นเสนอราคาก่อน 22:00 แล้วกดสร้างหลัง 22:00 ก็ไม่โดนค่ากลางคืน)
+-------------------------------------------------------------------------------- */
+const PRICING_RULES = loadPricingRules();
+const QUOTE_TTL_MS = 15 * 60 * 1000;
+
+/** ที่อยู่ตัวแรกที่ไม่มีพิกัด (ที่อยู่เก่าที่บันทึกก่อนมี lat/lng) หรือ undefined */
+function unlocatedAddress(...addrs) {
+  return addrs.find(a => !isValidLatLng(a.lat, a.lng));
+}
+
+/** ค่าส่งระหว่างที่อยู่ 2 แห่ง — ที่อยู่ไหนไม่มีพิกัด → null (คิดระยะทางไม่ได้) */
+function priceDelivery(addrSender, addrReceiver, { amount, weight_kg, size_class }, at = new Date()) {
+  if (unlocatedAddress(addrSender, addrReceiver)) return null;
+  const distance_km = distanceKm(Number(addrSender.lat), Number(addrSender.lng), Number(addrReceiver.lat), Number(addrReceiver.lng));
+  return quotePrice({ distance_km, amount, weight_kg, size_class, at }, PRICING_RULES);
+}
+
+/** ที่อยู่ผู้ส่ง (จุดรับของ) ต้องเป็นของผู้ส่งเอง */
+function assertSenderAddress(addr, user_id_sender) {
+  if (Number(addr.user_id) !== Number(user_id_sender)) {
+    throw new ForbiddenError("ADDRESS_NOT_OWNED", "address_id_sender belongs to another user", {
+      address_id_sender: Number(addr.address_id),
+    });
+  }
+}
+
+function assertQuoteUnused(q, quote_id) {
+  if (q?.used_by_delivery_id != null) {
+    throw new ConflictError("QUOTE_ALREADY_USED", "quote has already been used for another delivery", {
+      quote_id: Number(quote_id),
+      delivery_id: Number(q.used_by_delivery_id),
+    });
+  }
+}
+
+/** ราคาจากใบเสนอราคา — ต้องเป็นของผู้ส่งคนนี้ ยังไม่หมดอายุ ยังไม่ถูกใช้ และข้อมูลงานตรงกับตอนขอราคา */
+async function lockedQuotePrice(quote_id, expected) {
+  const snap = await db.collection(QUOTE_COL).doc(String(quote_id)).get();
+  if (!snap.exists) throw new NotFoundError("QUOTE_NOT_FOUND", "quote not found", { quote_id: Number(quote_id) });
+  const q = snap.data();
+  if (Number(q.user_id) !== expected.user_id) {
+    throw new ForbiddenError("QUOTE_NOT_OWNED", "quote belongs to another user", { quote_id: Number(quote_id) });
+  }
+  assertQuoteUnused(q, quote_id);
+  if (q.expiresAt.toMillis() < Date.now()) {
+    throw new ConflictError("QUOTE_EXPIRED", "quote has expired; request a new one", { quote_id: Number(quote_id) });
+  }
+  const mismatched = Object.keys(expected).filter(k => k !== "user_id" && q[k] !== expected[k]);
+  if (mismatched.length) {
+    throw new ConflictError("QUOTE_MISMATCH", "delivery does not match the quote", { quote_id: Number(quote_id), fields: mismatched });
+  }
+  return q.price;
 }
 
+/* POST /delivery/quote
+   body: { address_id_sender, address_id_receiver, amount?, weight_kg, size_class }
+   -> { quote_id, expires_at, price: { currency, car_type, distance_km, base_fare, distance_fare,
+        minimum_applied, size_surcharge, item_surcharge, night_surcharge, total } } */
+app.post("/delivery/quote", validate({
+  body: {
+    address_id_sender: v.id(),
+    address_id_receiver: v.id(),
+    amount: v.int({ min: 1, default: 1 }),
+    weight_kg: v.number({ min: 0.01, max: MAX_WEIGHT_KG }),
+    size_class: v.string({ enum: SIZE_CLASSES }),
+  },
+}), async (req, res) => {
+  try {
+    const { address_id_sender, address_id_receiver, amount, weight_kg, size_class } = req.body;
+
+    const [sSnap, rSnap] = await db.getAll(
+      db.collection(ADDR_COL).doc(String(address_id_sender)),
+      db.collection(ADDR_COL).doc(String(address_id_receiver)),
+    );
+    const senderOk = sSnap.exists && !sSnap.data().deleted;
+    const receiverOk = rSnap.exists && !rSnap.data().deleted;
+    if (!senderOk || !receiverOk) {
+      throw new NotFoundError("ADDRESS_NOT_FOUND", "address sender or receiver not found", {
+        address_id_sender: senderOk ? undefined : address_id_sender,
+        address_id_receiver: receiverOk ? undefined : address_id_receiver,
+      });
+    }
+    assertSenderAddress(sSnap.data(), req.auth.user_id);
+
+    // ใบเสนอราคาต้องมีราคา — ที่อยู่ไม่มีพิกัดให้แก้ที่อยู่ก่อน (สร้างงานตรง ๆ ได้ แต่ price = null)
+    const unlocated = unlocatedAddress(sSnap.data(), rSnap.data());
+    if (unlocated) {
+      throw new ConflictError("ADDRESS_NOT_LOCATED", "address has no coordinates; cannot compute the delivery fee", {
+        address_id: Number(unlocated.address_id),
+      });
+    }
+    const price = priceDelivery(sSnap.data(), rSnap.data(), { amount, weight_kg, size_class });
+
+    const quoteIdNum = await nextId("quote_seq");
+    const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + QUOTE_TTL_MS);
+    await db.collection(QUOTE_COL).doc(String(quoteIdNum)).set({
+      quote_id: quoteIdNum,
+      user_id: req.auth.user_id,
+      address_id_sender,
+      address_id_receiver,
+      amount,
+      weight_kg,
+      size_class,
+      price,
+      expiresAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return res.status(201).json({ quote_id: quoteIdNum, expires_at: expiresAt.toDate().toISOString(), price });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
 /* ----------------------- 3. Create Delivery -----------------------
-POST /delivery/create
+POST /delivery/create   (ผู้ส่ง = ผู้ถือ token; user_id_sender ถ้าส่งมาต้องตรงกัน)
 body: {
   "user_id_sender": 1,
   "user_id_receiver": 2,
@@ -456,42 +1730,74 @@ body: {
   "address_id_receiver": 5,
   "name_product": "Iphone 10",
   "detail_product": "สีดำ 128GB",
-  "picture_product": "https://res.cloudinary.com/.../iphone10.jpg",
+  "picture_product": 12,            // upload_id จาก POST /uploads (หรือ URL)
   "amount": 1,
-  "status": "waiting"
+  "weight_kg": 2.5,                 // (ไม่บังคับ) น้ำหนักรวม
+  "size_class": "medium",           // (ไม่บังคับ) small | medium | large | xlarge
+  "quote_id": 7,                    // (ไม่บังคับ) จาก POST /delivery/quote — ล็อกราคาตามใบเสนอ
+  "cod_amount": 590                 // (ไม่บังคับ) เก็บเงินปลายทาง
 }
+- status เริ่มที่ "waiting" เสมอ
+- price = ค่าส่งที่ล็อกไว้ (ตาม quote_id หรือคิดใหม่ตอนสร้าง)
+  ที่อยู่ไม่มีพิกัด → สร้างได้ แต่ price = null (ไม่มีค่าส่งใน ledger)
+- weight_kg / size_class ใช้จับคู่กับชนิดรถของไรเดอร์ (lib/vehicles.js)
+  ไม่ส่งมา → เก็บเป็น null = รถทุกชนิดรับได้ (ค่าส่งคิดตามรถเล็กสุด)
+  ใช้ quote_id → ต้องส่งค่าเดียวกับตอนขอราคา
 ------------------------------------------------------------------ */
-app.post("/delivery/create", async (req, res) => {
+app.post("/delivery/create", validate({
+  body: {
+    user_id_sender: v.id({ optional: true }),
+    user_id_receiver: v.id(),
+    phone_receiver: v.string({ optional: true, max: 20 }),
+    address_id_sender: v.id(),
+    address_id_receiver: v.id(),
+    name_product: v.string({ optional: true, max: 200 }),
+    detail_product: v.string({ optional: true, max: 2000 }),
+    picture_product: v.imageRef({ optional: true }),
+    picture_status1: v.imageRef({ optional: true }),
+    amount: v.int({ optional: true, min: 1 }),
+    weight_kg: v.number({ optional: true, min: 0.01, max: MAX_WEIGHT_KG }),
+    size_class: v.string({ optional: true, enum: SIZE_CLASSES }),
+    quote_id: v.id({ optional: true }),
+    cod_amount: v.number({ min: 0, max: 100000, default: 0 }),
+  },
+}), async (req, res) => {
   try {
-    const data = req.body ?? {};
-    const delivery = await createDelivery(data);
+    const data = req.body;
+    const user_id_sender = resolveActor(req, data.user_id_sender, "user_id_sender");
+    const delivery = await createDelivery({
+      ...data,
+      user_id_sender,
+      picture_product: await resolveImageRef(data.picture_product, { user_id: user_id_sender, field: "picture_product" }),
+      picture_status1: await resolveImageRef(data.picture_status1, { user_id: user_id_sender, field: "picture_status1" }),
+    });
+    emitStatusChange(delivery.delivery_id, null, STATUS.WAITING, { user_id: user_id_sender, kind: "sender" });
     return res.status(201).json({ ok: true, delivery });
   } catch (e) {
-    return res.status(e.code || 400).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 /* ----------------------- 4. List Delivery ของผู้ใช้ -----------------------
 POST /delivery/list-by-user
-body: { user_id_sender: 1 }
+body: { user_id_sender?: 1, limit?: 20, cursor?: "..." }
+-> { user_id_sender, count, deliveries, next_cursor }  (ใหม่สุดก่อน)
 ------------------------------------------------------------------ */
-app.post("/delivery/list-by-user", async (req, res) => {
+app.post("/delivery/list-by-user", validate({
+  body: { user_id_sender: v.id({ optional: true }), user_id: v.id({ optional: true }), ...pageQuery },
+}), async (req, res) => {
   try {
-    const userIdRaw = req.body?.user_id_sender ?? req.body?.user_id;
-    const user_id_sender = Number(userIdRaw);
-    if (!Number.isFinite(user_id_sender)) {
-      return res.status(400).json({ error: "user_id (or user_id_sender) must be a number" });
-    }
-
-    // 1) ดึงงานที่ผู้ส่ง = user_id_sender
-    const snap = await db
-      .collection(DELIVERY_COL)
-      .where("user_id_sender", "==", user_id_sender)
-      .get();
+    const userIdRaw = req.body.user_id_sender ?? req.body.user_id;
+    const user_id_sender = resolveActor(req, userIdRaw, "user_id_sender");
+
+    // 1) ดึงงานที่ผู้ส่ง = user_id_sender (ทีละหน้า)
+    const page = parsePageParams(req.body);
+    const { docs, next_cursor } = await paginateQuery(
+      db.collection(DELIVERY_COL).where("user_id_sender", "==", user_id_sender),
+      page
+    );
 
-    const deliveries = snap.docs
-      .map(d => ({ id: d.id, ...d.data() }))
-      .sort((a, b) => Number(a.delivery_id || 0) - Number(b.delivery_id || 0));
+    const deliveries = docs.map(d => ({ id: d.id, ...d.data() }));
 
     // 2) แนบ assignments และสรุป proof (picture_status2/3) จาก assignment ล่าสุด
     const enriched = await Promise.all(
@@ -533,31 +1839,115 @@ app.post("/delivery/list-by-user", async (req, res) => {
       user_id_sender,
       count: enriched.length,
       deliveries: enriched,
+      next_cursor,
     });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 //==========================================================================================================
-app.get("/deliveries/waiting", async (req, res) => {
+/* ----------------------- งานที่รอไรเดอร์ (ใกล้ฉัน) -----------------------
+GET /deliveries/waiting?lat=13.75&lng=100.5&radius_km=5&limit=20&cursor=...
+- ส่ง lat/lng → เฉพาะงานที่จุดรับ (pickup_lat/lng) อยู่ในรัศมี เรียงใกล้ → ไกล
+  แต่ละงานแนบ address_sender + distance_km
+  query delivery ตรง ๆ ด้วย status + ช่วง pickup_geohash (composite index: status, pickup_geohash)
+  งานที่สร้างก่อนมี pickup_geohash → POST /admin/deliveries/backfill-pickup
+- ไม่ส่ง lat/lng → งาน waiting ทั้งหมด (ใหม่สุดก่อน)
+- ผู้เรียกเป็นไรเดอร์ → ซ่อนงานที่หนัก/ใหญ่เกินรถคันที่ active (canCarry)
+-> { count, items, next_cursor }
+------------------------------------------------------------------ */
+const WAITING_DEFAULT_RADIUS_KM = 5;
+const WAITING_MAX_RADIUS_KM = 50;
+
+app.get("/deliveries/waiting", validate({
+  query: {
+    lat: v.lat({ optional: true }),
+    lng: v.lng({ optional: true }),
+    radius_km: v.number({ min: 0.1, max: WAITING_MAX_RADIUS_KM, default: WAITING_DEFAULT_RADIUS_KM }),
+    ...pageQuery,
+  },
+}), async (req, res) => {
   try {
-    const snapshot = await db.collection("delivery").where("status", "==", "waiting").get();
-    const deliveries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    res.json(deliveries);
+    const { lat, lng, radius_km: radius } = req.query;
+    const page = parsePageParams(req.query);
+
+    // ไรเดอร์เห็นเฉพาะงานที่รถคันที่ active รับได้
+    let carries = () => true;
+    if (req.auth.role === ROLE_RIDER) {
+      const car = await getActiveVehicle(req.auth.user_id);
+      carries = (d) => canCarry(car?.car_type, d).ok;
+    }
+
+    if (lat == null && lng == null) {
+      const { docs, next_cursor } = await paginateQuery(
+        db.collection("delivery").where("status", "==", "waiting"),
+        { ...page, filter: doc => carries(doc.data()) }
+      );
+      const items = docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      return res.json({ count: items.length, items, next_cursor });
+    }
+
+    if (lat == null || lng == null) {
+      throw new ValidationError([{ field: lat == null ? "query.lat" : "query.lng", message: "is required when the other coordinate is given" }]);
+    }
+    const cLat = lat, cLng = lng;
+
+    // 1) งาน waiting ที่จุดรับอยู่ใน geohash prefix แล้วกรองด้วยระยะจริง (prefix ซ้อนกันได้ → กันซ้ำด้วย Map)
+    const dSnaps = await Promise.all(
+      geohashQueryPrefixes(cLat, cLng, radius).map(prefix =>
+        db.collection(DELIVERY_COL)
+          .where("status", "==", STATUS.WAITING)
+          .where("pickup_geohash", ">=", prefix)
+          .where("pickup_geohash", "<=", prefix + "\uf8ff")
+          .get()
+      )
+    );
+
+    const nearby = new Map(); // delivery_id -> { delivery, distance_km }
+    dSnaps.forEach(snap => snap.forEach(doc => {
+      const d = doc.data();
+      if (!carries(d)) return;
+      const dist = distanceKm(cLat, cLng, Number(d.pickup_lat), Number(d.pickup_lng));
+      if (dist <= radius) nearby.set(doc.id, { delivery: { id: doc.id, ...d }, distance_km: dist });
+    }));
+
+    // เรียงตามระยะ → cursor เป็นตำแหน่งในลิสต์
+    const sorted = [...nearby.values()]
+      .sort((a, b) => a.distance_km - b.distance_km || Number(a.delivery.delivery_id) - Number(b.delivery.delivery_id));
+    const { items: pageItems, next_cursor } = paginateArray(sorted, page);
+
+    // 2) ที่อยู่ผู้ส่งเฉพาะงานในหน้านี้
+    const addrSnaps = pageItems.length
+      ? await db.getAll(...pageItems.map(x => db.collection(ADDR_COL).doc(String(x.delivery.address_id_sender))))
+      : [];
+    const items = pageItems.map(({ delivery, distance_km }, i) => {
+      const address = addrSnaps[i].exists ? addrSnaps[i].data() : {};
+      return {
+        ...delivery,
+        address_sender: {
+          address_id: Number(delivery.address_id_sender),
+          address: address.address ?? null,
+          lat: delivery.pickup_lat,
+          lng: delivery.pickup_lng,
+        },
+        distance_km: Math.round(distance_km * 1000) / 1000,
+      };
+    });
+    return res.json({ count: items.length, items, next_cursor });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
-app.get("/delivery/:id", async (req, res) => {
+app.get("/delivery/:id", validate({ params: { id: v.id() } }), async (req, res) => {
   try {
     const { id } = req.params;
 
     const deliveryDoc = await db.collection(DELIVERY_COL).doc(String(id)).get();
-    if (!deliveryDoc.exists) {
-      return res.status(404).json({ error: "delivery not found" });
+    if (!deliveryDoc.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
+    if (req.auth.role !== ROLE_ADMIN && !(await isDeliveryParticipant(deliveryDoc.data(), req.auth.user_id))) {
+      throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this delivery");
     }
 
     const delivery = { id: deliveryDoc.id, ...deliveryDoc.data() };
@@ -588,42 +1978,403 @@ app.get("/delivery/:id", async (req, res) => {
 
     res.json(result);
   } catch (e) {
-    console.error("Error in /delivery/:id:", e);
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
+  }
+});
+
+/* ----------------------- ประวัติการเปลี่ยนสถานะ -----------------------
+GET /delivery/:id/history   (ผู้ส่ง / ผู้รับ / ไรเดอร์ของงาน / admin)
+-> { delivery_id, count, items: [{ from, to, actor_id, actor_kind, lat, lng, reason, createdAt }] }
+------------------------------------------------------------------ */
+app.get("/delivery/:id/history", validate({ params: { id: v.id() } }), async (req, res) => {
+  try {
+    const deliveryId = req.params.id;
+
+    const dSnap = await db.collection(DELIVERY_COL).doc(String(deliveryId)).get();
+    if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
+    if (req.auth.role !== ROLE_ADMIN && !(await isDeliveryParticipant(dSnap.data(), req.auth.user_id))) {
+      throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this delivery");
+    }
+
+    // ไม่ใช้ orderBy เพื่อเลี่ยง composite index → เรียงในโค้ด
+    const snap = await db.collection(HISTORY_COL)
+      .where("delivery_id", "==", deliveryId)
+      .get();
+
+    const toISO = (ts) =>
+      ts && typeof ts.toDate === "function" ? ts.toDate().toISOString() : null;
+
+    const items = snap.docs
+      .map(d => {
+        const h = d.data();
+        return { id: d.id, ...h, createdAt: toISO(h.createdAt) };
+      })
+      .sort((a, b) => (a.createdAt ? Date.parse(a.createdAt) : 0) - (b.createdAt ? Date.parse(b.createdAt) : 0));
+
+    return res.json({ delivery_id: deliveryId, count: items.length, items });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ----------------------- Realtime stream (SSE) -----------------------
+GET /delivery/:id/stream   (Authorization: Bearer ... หรือ ?access_token=...)
+- เฉพาะ ผู้ส่ง / ผู้รับ / ไรเดอร์ที่ถืองานอยู่
+- event: snapshot  → { delivery_id, status, rider: { rider_id, lat, lng } | null }
+- event: status    → { delivery_id, from, to, actor_id, actor_kind, at }
+- event: location  → { delivery_id, rider_id, lat, lng, at }
+- event: message   → { delivery_id, message_id, author_id, author_role, text, image, at }   (แชท)
+- event: read      → { delivery_id, user_id, role, last_read_message_id, at }
+  (message / read ส่งเฉพาะคนที่มีบทบาทในแชท — ดู chatRoleOf)
+- ปิด stream เองเมื่องานจบ (finish / cancelled)
+- stream ของไรเดอร์ปิดเมื่องานหลุดจากมือ (release กลับเป็น waiting / admin reassign ให้คนอื่น)
+------------------------------------------------------------------ */
+const STREAM_HEARTBEAT_MS = 25_000;
+const TERMINAL_STATUSES = [STATUS.FINISH, STATUS.CANCELLED];
+
+/** ไรเดอร์ยังถืองานนี้อยู่ไหม (มี assignment ที่ยังทำงานอยู่) */
+async function riderHoldsDelivery(deliveryId, riderId) {
+  const aSnap = await db.collection(ASSIGN_COL)
+    .where("delivery_id", "==", Number(deliveryId))
+    .where("rider_id", "==", Number(riderId))
+    .where("status", "in", ACTIVE_STATUSES)
+    .limit(1)
+    .get();
+  return !aSnap.empty;
+}
+
+app.get("/delivery/:id/stream", validate({ params: { id: v.id() } }), async (req, res) => {
+  const deliveryId = req.params.id;
+
+  // ลงทะเบียนก่อน await แรก — client ที่ตัดระหว่างอ่าน Firestore ต้องไม่ทิ้ง subscriber / heartbeat ค้าง
+  let cleanup = null;
+  req.on("close", () => cleanup?.());
+
+  let snapshot;
+  let viewer;
+  try {
+    const dSnap = await db.collection(DELIVERY_COL).doc(String(deliveryId)).get();
+    if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
+    const d = dSnap.data();
+
+    const aSnap = await db.collection(ASSIGN_COL)
+      .where("delivery_id", "==", deliveryId)
+      .where("status", "in", ACTIVE_STATUSES)
+      .limit(1)
+      .get();
+    const active = aSnap.empty ? null : aSnap.docs[0].data();
+
+    const uid = req.auth.user_id;
+    const allowed = uid === Number(d.user_id_sender)
+      || uid === Number(d.user_id_receiver)
+      || (active && uid === Number(active.rider_id));
+    if (!allowed) throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this delivery");
+    viewer = {
+      user_id: uid,
+      rider: uid !== Number(d.user_id_sender) && uid !== Number(d.user_id_receiver),
+      chat_role: await chatRoleOf(d, uid),
+    };
+
+    let rider = null;
+    if (active) {
+      const locSnap = await db.collection(RIDER_LOC_COL).doc(String(active.rider_id)).get();
+      const loc = locSnap.exists ? locSnap.data() : {};
+      rider = {
+        rider_id: Number(active.rider_id),
+        lat: loc.lat == null ? null : Number(loc.lat),
+        lng: loc.lng == null ? null : Number(loc.lng),
+      };
+    }
+    snapshot = { delivery_id: deliveryId, status: d.status ?? null, rider };
+  } catch (e) {
+    return sendError(res, e);
+  }
+  if (req.destroyed) return;   // ตัดไปแล้วระหว่างอ่าน — close ผ่านไปแล้ว ไม่ต้อง subscribe
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",   // กัน proxy buffer
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => {
+    if (!res.writableEnded) res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(": ping\n\n");
+  }, STREAM_HEARTBEAT_MS);
+  // event ผ่านคิวเดียวกันตามลำดับ — status event ของไรเดอร์ต้องตรวจ assignment ให้เสร็จก่อนส่ง event ถัดไป
+  let queue = Promise.resolve();
+  const unsubscribe = subscribeDelivery(deliveryId, (evt) => {
+    queue = queue.then(() => forward(evt)).catch((err) => {
+      console.error("stream event failed:", err);
+      close();
+    });
+  });
+
+  async function forward(evt) {
+    if (res.writableEnded) return;
+    if ((evt.type === "message" || evt.type === "read") && !viewer.chat_role) return;
+    send(evt.type, evt.data);
+    if (evt.type !== "status") return;
+    if (TERMINAL_STATUSES.includes(evt.data.to)) return close();
+    if (viewer.rider && !(ACTIVE_STATUSES.includes(evt.data.to) && await riderHoldsDelivery(deliveryId, viewer.user_id))) close();
+  }
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+    if (!res.writableEnded) res.end();
+  }
+  cleanup = close;
+
+  send("snapshot", snapshot);
+  if (TERMINAL_STATUSES.includes(snapshot.status)) close();
+});
+
+/* ------------------------------- Delivery chat -------------------------------
+แชทของแต่ละ delivery ระหว่างผู้ส่ง / ผู้รับ / ไรเดอร์ที่ถืองาน
+- ไรเดอร์ = มี assignment ของงานนี้ที่ยังทำอยู่ (หรือ finish ไปแล้ว — อ่านย้อนหลังได้)
+  ไรเดอร์ที่ถูก release ออกจากงานจะไม่เห็นแชทอีก
+- งาน finish / cancelled → อ่านได้อย่างเดียว (ส่งใหม่ → 409 CHAT_READ_ONLY)
+- read receipt = ข้อความล่าสุดที่แต่ละคนอ่านแล้ว (message_id เพิ่มขึ้นเรื่อย ๆ)
+  ข้อความ id ≤ last_read_message_id ของใคร = คนนั้นอ่านแล้ว
+- ข้อความใหม่ / การอ่าน publish ไปที่ GET /delivery/:id/stream (event: message / read)
+
+POST /delivery/:id/messages        body: { text?: string, image?: upload_id|URL }  (ต้องมีอย่างน้อยหนึ่งอย่าง)
+-> 201 { message: { message_id, delivery_id, author_id, author_role, text, image } }
+GET  /delivery/:id/messages?limit=20&cursor=...
+-> { delivery_id, my_role, read_only, read_state: [{ user_id, role, last_read_message_id }],
+     count, items: [{ ...message, read_by: [user_id], createdAt }], next_cursor }   (ใหม่สุดก่อน)
+POST /delivery/:id/messages/read   body: { message_id?: number }  (ไม่ส่ง = อ่านถึงข้อความล่าสุด)
+-> { delivery_id, user_id, last_read_message_id }
+--------------------------------------------------------------------------------- */
+/** บทบาทของ uid ในแชทของ delivery นี้ ("sender" | "receiver" | "rider") หรือ null ถ้าไม่เกี่ยว */
+async function chatRoleOf(d, uid) {
+  if (uid === Number(d.user_id_sender)) return "sender";
+  if (uid === Number(d.user_id_receiver)) return "receiver";
+
+  const aSnap = await db.collection(ASSIGN_COL)
+    .where("delivery_id", "==", Number(d.delivery_id))
+    .where("rider_id", "==", uid)
+    .get();
+  const holds = aSnap.docs.some(a => [...ACTIVE_STATUSES, STATUS.FINISH].includes(a.data().status));
+  return holds ? "rider" : null;
+}
+
+/** delivery + บทบาทของผู้เรียกในแชท ไม่งั้น 404 / 403 */
+async function getChat(req, deliveryId) {
+  const dSnap = await db.collection(DELIVERY_COL).doc(String(deliveryId)).get();
+  if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
+  const d = dSnap.data();
+
+  const role = await chatRoleOf(d, req.auth.user_id);
+  if (!role) throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this delivery");
+  return { d, role, read_only: TERMINAL_STATUSES.includes(d.status) };
+}
+
+const chatReadRef = (deliveryId, userId) => db.collection(CHAT_READ_COL).doc(`${deliveryId}-${userId}`);
+
+app.post("/delivery/:id/messages", validate({
+  params: { id: v.id() },
+  body: {
+    text: v.string({ optional: true, min: 1, max: 2000 }),
+    image: v.imageRef({ optional: true }),
+  },
+}), async (req, res) => {
+  try {
+    const deliveryId = req.params.id;
+    const uid = req.auth.user_id;
+    const { text, image } = req.body;
+    if (text == null && image == null) {
+      throw new ValidationError([{ field: "body.text", message: "is required when image is not given" }]);
+    }
+
+    const { role, read_only } = await getChat(req, deliveryId);
+    if (read_only) throw new ConflictError("CHAT_READ_ONLY", "chat is read-only after the delivery has ended");
+    const imageUrl = await resolveImageRef(image, { user_id: uid, field: "image" });
+
+    const messageIdNum = await nextId("message_seq");
+    const message = {
+      message_id: messageIdNum,
+      delivery_id: deliveryId,
+      author_id: uid,
+      author_role: role,
+      text: text ?? null,
+      image: imageUrl,
+    };
+
+    // ผู้เขียนถือว่าอ่านถึงข้อความของตัวเองแล้ว
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const batch = db.batch();
+    batch.set(db.collection(MESSAGE_COL).doc(String(messageIdNum)), { ...message, createdAt: now, updatedAt: now });
+    batch.set(chatReadRef(deliveryId, uid), {
+      delivery_id: deliveryId, user_id: uid, role, last_read_message_id: messageIdNum, updatedAt: now,
+    });
+    await batch.commit();
+
+    publishDeliveryEvent(deliveryId, "message", message);
+    return res.status(201).json({ message });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+app.get("/delivery/:id/messages", validate({ params: { id: v.id() }, query: pageQuery }), async (req, res) => {
+  try {
+    const deliveryId = req.params.id;
+    const page = parsePageParams(req.query);
+    const { role, read_only } = await getChat(req, deliveryId);
+
+    const [{ docs, next_cursor }, readSnap] = await Promise.all([
+      paginateQuery(db.collection(MESSAGE_COL).where("delivery_id", "==", deliveryId), page),
+      db.collection(CHAT_READ_COL).where("delivery_id", "==", deliveryId).get(),
+    ]);
+
+    const read_state = readSnap.docs.map(r => ({
+      user_id: r.data().user_id,
+      role: r.data().role ?? null,
+      last_read_message_id: r.data().last_read_message_id ?? 0,
+    }));
+    const items = docs.map(doc => {
+      const m = doc.data();
+      return {
+        message_id: m.message_id,
+        delivery_id: m.delivery_id,
+        author_id: m.author_id,
+        author_role: m.author_role ?? null,
+        text: m.text ?? null,
+        image: m.image ?? null,
+        read_by: read_state
+          .filter(r => r.user_id !== m.author_id && r.last_read_message_id >= m.message_id)
+          .map(r => r.user_id),
+        createdAt: m.createdAt ?? null,
+      };
+    });
+
+    return res.json({ delivery_id: deliveryId, my_role: role, read_only, read_state, count: items.length, items, next_cursor });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+app.post("/delivery/:id/messages/read", validate({
+  params: { id: v.id() },
+  body: { message_id: v.id({ optional: true }) },
+}), async (req, res) => {
+  try {
+    const deliveryId = req.params.id;
+    const uid = req.auth.user_id;
+    const { role } = await getChat(req, deliveryId);
+
+    // ข้อความที่อ่านถึง: ระบุมา (ต้องอยู่ในแชทนี้) หรือข้อความล่าสุด
+    let target = 0;
+    if (req.body.message_id != null) {
+      const mSnap = await db.collection(MESSAGE_COL).doc(String(req.body.message_id)).get();
+      if (!mSnap.exists || Number(mSnap.data().delivery_id) !== deliveryId) {
+        throw new NotFoundError("MESSAGE_NOT_FOUND", "message not found in this delivery", { message_id: req.body.message_id });
+      }
+      target = req.body.message_id;
+    } else {
+      const mSnap = await db.collection(MESSAGE_COL).where("delivery_id", "==", deliveryId).get();
+      target = mSnap.docs.reduce((max, m) => Math.max(max, Number(m.data().message_id || 0)), 0);
+    }
+
+    // ไม่ถอยหลัง (อ่านข้อความเก่าหลังจากอ่านข้อความใหม่แล้ว)
+    const ref = chatReadRef(deliveryId, uid);
+    const last_read_message_id = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const before = snap.exists ? Number(snap.data().last_read_message_id || 0) : 0;
+      const next = Math.max(before, target);
+      if (next !== before || !snap.exists) {
+        tx.set(ref, {
+          delivery_id: deliveryId, user_id: uid, role, last_read_message_id: next,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      return next;
+    });
+
+    publishDeliveryEvent(deliveryId, "read", { user_id: uid, role, last_read_message_id });
+    return res.json({ delivery_id: deliveryId, user_id: uid, last_read_message_id });
+  } catch (e) {
+    return sendError(res, e);
   }
 });
 
 /* ========================= เส้นรับงาน + บันทึกพิกัดแรก =========================
-   POST /deliveries/accept
-   body: { delivery_id:number, rider_id:number, rider_lat:number, rider_lng:number }
+   POST /deliveries/accept   (rider role เท่านั้น; rider_id = ผู้ถือ token)
+   body: { delivery_id:number, rider_id?:number, rider_lat:number, rider_lng:number }
 =============================================================================== */
-app.post("/deliveries/accept", async (req, res) => {
+// body ร่วมของเส้นที่ไรเดอร์เปลี่ยนสถานะงาน (ต้องส่งพิกัดปัจจุบันมาด้วยทุกครั้ง)
+const riderStepSchema = {
+  delivery_id: v.id(),
+  rider_id: v.id({ optional: true }),
+  rider_lat: v.lat(),
+  rider_lng: v.lng(),
+};
+
+app.post("/deliveries/accept", requireRole(ROLE_RIDER), validate({ body: riderStepSchema }), async (req, res) => {
   try {
-    const { delivery_id, rider_id, rider_lat, rider_lng } = req.body ?? {};
-    if (!delivery_id || !rider_id)
-      return res.status(400).json({ error: "delivery_id, rider_id are required" });
-
-    // แนะนำให้อย่างน้อยส่ง lat/lng มาเก็บครั้งแรกด้วย
-    if (rider_lat == null || rider_lng == null)
-      return res.status(400).json({ error: "rider_lat, rider_lng are required on accept" });
+    const { delivery_id, rider_lat, rider_lng } = req.body;
+    const rider_id = resolveActor(req, req.body.rider_id, "rider_id");
 
     const deliveryRef = db.collection(DELIVERY_COL).doc(String(delivery_id));
     const riderLocRef = db.collection(RIDER_LOC_COL).doc(String(rider_id));
+    const activeQ = db.collection(ASSIGN_COL)
+      .where("rider_id", "==", Number(rider_id))
+      .where("status", "in", ACTIVE_STATUSES);
     const assiIdNum = await nextId("assi_seq");
     const assiId = String(assiIdNum);
+    let vehicle = null;
+    let delivery = null;
 
     await db.runTransaction(async (tx) => {
-      // ตรวจ delivery ต้องอยู่สถานะ waiting เท่านั้น
+      // ตรวจ delivery ต้องอยู่สถานะ waiting เท่านั้น (ตาม state machine)
       const dSnap = await tx.get(deliveryRef);
-      if (!dSnap.exists) throw new Error("delivery not found");
+      if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
       const d = dSnap.data();
-      if (d.status !== "waiting") throw new Error("Delivery already accepted or in progress");
+      assertTransition(d.status, STATUS.ACCEPT, "rider");   // ไม่ใช่ waiting → 409 DELIVERY_NOT_WAITING
+      delivery = d;
+
+      // ไรเดอร์ถืองานค้างได้ไม่เกิน RIDER_MAX_ACTIVE_JOBS
+      const activeSnap = await tx.get(activeQ);
+      if (activeSnap.size >= RIDER_MAX_ACTIVE_JOBS) {
+        throw new ConflictError(
+          "RIDER_ACTIVE_JOB_LIMIT",
+          `Rider already has ${activeSnap.size} active job(s) (max ${RIDER_MAX_ACTIVE_JOBS})`,
+          {
+            max_active_jobs: RIDER_MAX_ACTIVE_JOBS,
+            active_assignments: activeSnap.docs.map(a => a.data().assi_id ?? Number(a.id)),
+          }
+        );
+      }
+
+      // รถที่ใช้รับงาน = คันที่ active ตอนนี้ (เก็บ snapshot ไว้ เผื่อแก้/ลบรถทีหลัง)
+      const car = riderVehiclesOf((await tx.get(riderVehiclesQuery(rider_id))).docs)[0];
+      if (!car) throw new ConflictError("NO_ACTIVE_VEHICLE", "rider has no active vehicle");
+      vehicle = vehicleSnapshot(car);
+
+      const fit = canCarry(car.car_type, d);
+      if (!fit.ok) {
+        throw new ConflictError("VEHICLE_CANNOT_CARRY", `${car.car_type} cannot carry this parcel (${fit.reason})`, {
+          reason: fit.reason,
+          car_type: car.car_type,
+          capacity: vehicleCapacity(car.car_type),
+          weight_kg: d.weight_kg ?? null,
+          size_class: d.size_class ?? null,
+        });
+      }
 
       // สร้าง assignment = accept
       tx.set(db.collection(ASSIGN_COL).doc(assiId), {
         assi_id: assiIdNum,
         delivery_id: Number(delivery_id),
         rider_id: Number(rider_id),
+        vehicle,
         status: "accept",
         picture_status2: null,
         picture_status3: null,
@@ -633,9 +2384,20 @@ app.post("/deliveries/accept", async (req, res) => {
 
       // อัปเดต delivery -> accept
       tx.update(deliveryRef, {
-        status: "accept",
+        status: STATUS.ACCEPT,
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       });
+      recordTransition(tx, {
+        delivery_id,
+        from: d.status,
+        to: STATUS.ACCEPT,
+        actor: { user_id: rider_id, kind: "rider" },
+        lat: rider_lat,
+        lng: rider_lng,
+      });
+      recordTrackPoint(tx, {
+        assi_id: assiIdNum, delivery_id, rider_id, lat: rider_lat, lng: rider_lng, source: "accept",
+      });
 
       // สร้าง/อัปเดตตำแหน่งแรกของ Rider (ใช้ rider_id เป็น docId)
       tx.set(
@@ -652,6 +2414,10 @@ app.post("/deliveries/accept", async (req, res) => {
       );
     });
 
+    emitStatusChange(delivery_id, STATUS.WAITING, STATUS.ACCEPT, { user_id: rider_id, kind: "rider" });
+    emitRiderLocation(delivery_id, rider_id, rider_lat, rider_lng);
+    notifyStatusChange(delivery, STATUS.ACCEPT);
+
     return res.json({
       ok: true,
       message: "Delivery accepted and rider_location saved",
@@ -659,6 +2425,7 @@ app.post("/deliveries/accept", async (req, res) => {
         assi_id: assiIdNum,
         delivery_id: Number(delivery_id),
         rider_id: Number(rider_id),
+        vehicle,
         status: "accept",
       },
       rider_location: {
@@ -668,24 +2435,22 @@ app.post("/deliveries/accept", async (req, res) => {
       },
     });
   } catch (e) {
-    const msg = e.message || "internal error";
-    const code = /not found|required|progress/i.test(msg) ? 400 : 500;
-    return res.status(code).json({ error: msg });
+    return sendError(res, e);
   }
 });
 
 
 /* =================== อัปเดตเป็น transporting + อัปเดตพิกัด ====================
-   POST /deliveries/update-status-accept
-   body: { delivery_id:number, rider_id:number, picture_status2:string, rider_lat:number, rider_lng:number }
+   POST /deliveries/update-status-accept   (rider role เท่านั้น; rider_id = ผู้ถือ token)
+   body: { delivery_id:number, rider_id?:number, picture_status2:upload_id|url, rider_lat:number, rider_lng:number }
 =============================================================================== */
-app.post("/deliveries/update-status-accept", async (req, res) => {
+app.post("/deliveries/update-status-accept", requireRole(ROLE_RIDER), validate({
+  body: { ...riderStepSchema, picture_status2: v.imageRef() },
+}), async (req, res) => {
   try {
-    const { delivery_id, rider_id, picture_status2, rider_lat, rider_lng } = req.body ?? {};
-    if (!delivery_id || !rider_id || !picture_status2)
-      return res.status(400).json({ error: "delivery_id, rider_id, picture_status2 are required" });
-    if (rider_lat == null || rider_lng == null)
-      return res.status(400).json({ error: "rider_lat, rider_lng are required" });
+    const { delivery_id, picture_status2, rider_lat, rider_lng } = req.body;
+    const rider_id = resolveActor(req, req.body.rider_id, "rider_id");
+    const pic2Url = await resolveImageRef(picture_status2, { user_id: rider_id, field: "picture_status2" });
 
     const deliveryRef = db.collection(DELIVERY_COL).doc(String(delivery_id));
     const riderLocRef  = db.collection(RIDER_LOC_COL).doc(String(rider_id));
@@ -699,27 +2464,33 @@ app.post("/deliveries/update-status-accept", async (req, res) => {
     await db.runTransaction(async (tx) => {
       // ----- READS (ทั้งหมดต้องมาก่อน WRITES) -----
       const dSnap = await tx.get(deliveryRef);
-      if (!dSnap.exists) throw new Error("delivery not found");
+      if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
       deliveryData = dSnap.data();
+      assertTransition(deliveryData.status, STATUS.TRANSPORTING, "rider");
 
+      // ต้องอยู่ใกล้จุดรับของ (ที่อยู่ผู้ส่ง)
+      const pickupSnap = await tx.get(db.collection(ADDR_COL).doc(String(deliveryData.address_id_sender)));
+      assertWithinGeofence(pickupSnap.data(), rider_lat, rider_lng, "pickup");
+
+      // ไรเดอร์คนเดิมอาจเคย release งานนี้แล้วรับใหม่ → เลือกอันที่ยังเป็น accept
       const q = db.collection(ASSIGN_COL)
         .where("delivery_id", "==", Number(delivery_id))
-        .where("rider_id", "==", Number(rider_id))
-        .limit(1);
+        .where("rider_id", "==", Number(rider_id));
 
       const aSnap = await tx.get(q);
-      if (aSnap.empty) throw new Error("assignment not found for this delivery/rider");
-
-      const aDoc = aSnap.docs[0];
-      const a = aDoc.data();
+      if (aSnap.empty) {
+        throw new NotFoundError("ASSIGNMENT_NOT_FOUND", "assignment not found for this delivery/rider");
+      }
 
-      if (a.status !== "accept") {
-        throw new Error("Assignment must be in 'accept' to set transporting");
+      const aDoc = aSnap.docs.find(x => x.data().status === "accept");
+      if (!aDoc) {
+        throw new ConflictError("ASSIGNMENT_NOT_ACCEPT", "Assignment must be in 'accept' to set transporting");
       }
+      const a = aDoc.data();
 
       assi_id = a.assi_id;
       aDocRef = aDoc.ref;
-      finalPic2 = picture_status2 || a.picture_status2 || null;
+      finalPic2 = pic2Url || a.picture_status2 || null;
 
       // ----- WRITES (หลังจากอ่านครบแล้ว) -----
       tx.update(aDoc.ref, {
@@ -729,9 +2500,20 @@ app.post("/deliveries/update-status-accept", async (req, res) => {
       });
 
       tx.update(deliveryRef, {
-        status: "transporting",
+        status: STATUS.TRANSPORTING,
         updatedAt: admin.firestore.FieldValue.serverTimestamp(),
       });
+      recordTransition(tx, {
+        delivery_id,
+        from: deliveryData.status,
+        to: STATUS.TRANSPORTING,
+        actor: { user_id: rider_id, kind: "rider" },
+        lat: rider_lat,
+        lng: rider_lng,
+      });
+      recordTrackPoint(tx, {
+        assi_id, delivery_id, rider_id, lat: rider_lat, lng: rider_lng, source: "pickup",
+      });
 
       tx.set(
         riderLocRef,
@@ -749,6 +2531,10 @@ app.post("/deliveries/update-status-accept", async (req, res) => {
     // (ถ้าจำเป็น) อ่าน assignment ล่าสุดนอกทรานแซกชัน
     // const assignmentLatest = aDocRef ? (await aDocRef.get()).data() : null;
 
+    emitStatusChange(delivery_id, STATUS.ACCEPT, STATUS.TRANSPORTING, { user_id: rider_id, kind: "rider" });
+    emitRiderLocation(delivery_id, rider_id, rider_lat, rider_lng);
+    notifyStatusChange(deliveryData, STATUS.TRANSPORTING);
+
     return res.json({
       ok: true,
       message: "Assignment moved to transporting and rider location updated",
@@ -784,29 +2570,165 @@ app.post("/deliveries/update-status-accept", async (req, res) => {
       },
     });
   } catch (e) {
-    const msg = e.message || "internal error";
-    const code = /not found|accept|required/i.test(msg) ? 400 : 500;
-    return res.status(code).json({ error: msg });
+    return sendError(res, e);
+  }
+});
+
+
+
+
+
+/* ======================= ผู้ส่งยกเลิกงาน (ก่อนมีไรเดอร์รับ) =======================
+   POST /delivery/cancel   (ผู้ส่งของ delivery นี้เท่านั้น)
+   body: { delivery_id:number, reason:string }
+   - ยกเลิกได้เฉพาะตอน status = "waiting"
+=============================================================================== */
+app.post("/delivery/cancel", validate({
+  body: { delivery_id: v.id(), reason: v.string({ min: 1, max: 500 }) },
+}), async (req, res) => {
+  try {
+    const { delivery_id, reason } = req.body;
+
+    const deliveryRef = db.collection(DELIVERY_COL).doc(String(delivery_id));
+
+    await db.runTransaction(async (tx) => {
+      const dSnap = await tx.get(deliveryRef);
+      if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
+      const d = dSnap.data();
+      resolveActor(req, d.user_id_sender, "user_id_sender");
+      assertTransition(d.status, STATUS.CANCELLED, "sender");
+
+      tx.update(deliveryRef, {
+        status: STATUS.CANCELLED,
+        cancel_reason: String(reason),
+        cancelled_by: req.auth.user_id,
+        cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      recordTransition(tx, {
+        delivery_id,
+        from: d.status,
+        to: STATUS.CANCELLED,
+        actor: { user_id: req.auth.user_id, kind: "sender" },
+        reason,
+      });
+    });
+
+    emitStatusChange(delivery_id, STATUS.WAITING, STATUS.CANCELLED, { user_id: req.auth.user_id, kind: "sender" });
+
+    return res.json({
+      ok: true,
+      message: "Delivery cancelled",
+      delivery_id: Number(delivery_id),
+      status: STATUS.CANCELLED,
+    });
+  } catch (e) {
+    return sendError(res, e);
   }
 });
 
+/* ===================== ไรเดอร์คืนงาน (ก่อนรับของจากผู้ส่ง) =====================
+   POST /deliveries/release   (rider role เท่านั้น; rider_id = ผู้ถือ token)
+   body: { delivery_id:number, reason?:string, rider_lat?:number, rider_lng?:number }
+   - assignment ของไรเดอร์ต้องอยู่ 'accept' → ตั้งเป็น 'released'
+   - delivery กลับไป 'waiting' ให้ไรเดอร์คนอื่นรับต่อได้
+=============================================================================== */
+app.post("/deliveries/release", requireRole(ROLE_RIDER), validate({
+  body: {
+    ...riderStepSchema,
+    rider_lat: v.lat({ optional: true }),
+    rider_lng: v.lng({ optional: true }),
+    reason: v.string({ optional: true, max: 500 }),
+  },
+}), async (req, res) => {
+  try {
+    const { delivery_id, reason, rider_lat, rider_lng } = req.body;
+    const rider_id = resolveActor(req, req.body.rider_id, "rider_id");
+
+    const deliveryRef = db.collection(DELIVERY_COL).doc(String(delivery_id));
+    const q = db.collection(ASSIGN_COL)
+      .where("delivery_id", "==", Number(delivery_id))
+      .where("rider_id", "==", rider_id);
+
+    let assi_id = null;
+
+    await db.runTransaction(async (tx) => {
+      // ----- READS -----
+      const dSnap = await tx.get(deliveryRef);
+      if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
+      const from = dSnap.data().status;
+      assertTransition(from, STATUS.WAITING, "rider");
+
+      const aSnap = await tx.get(q);
+      const aDoc = aSnap.docs.find(a => a.data().status === "accept");
+      if (!aDoc) {
+        throw new ConflictError("ASSIGNMENT_NOT_ACCEPT", "No assignment in 'accept' for this delivery/rider");
+      }
+      assi_id = aDoc.data().assi_id ?? Number(aDoc.id);
+
+      // ----- WRITES -----
+      tx.update(aDoc.ref, {
+        status: "released",
+        released_reason: reason ? String(reason) : null,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
 
+      tx.update(deliveryRef, {
+        status: STATUS.WAITING,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      recordTransition(tx, {
+        delivery_id,
+        from,
+        to: STATUS.WAITING,
+        actor: { user_id: rider_id, kind: "rider" },
+        lat: rider_lat,
+        lng: rider_lng,
+        reason,
+      });
+    });
 
+    emitStatusChange(delivery_id, STATUS.ACCEPT, STATUS.WAITING, { user_id: rider_id, kind: "rider" });
 
+    return res.json({
+      ok: true,
+      message: "Assignment released and delivery is waiting again",
+      delivery_id: Number(delivery_id),
+      assi_id,
+      rider_id,
+      status_assignment: "released",
+      status_delivery: "waiting",
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
 
-// POST /rider/location/update
-// body: { rider_id, lat, lng, rider_location_id? }
-app.post("/rider/location/update", async (req, res) => {
+// POST /rider/location/update   (rider role เท่านั้น; rider_id = ผู้ถือ token)
+// body: { rider_id?, lat, lng, rider_location_id? }
+app.post("/rider/location/update", requireRole(ROLE_RIDER), validate({
+  body: {
+    rider_id: v.id({ optional: true }),
+    lat: v.lat(),
+    lng: v.lng(),
+    rider_location_id: v.string({ optional: true, max: 50 }),
+  },
+}), async (req, res) => {
   try {
-    const { rider_id, lat, lng, rider_location_id } = req.body ?? {};
-    if (!rider_id || lat == null || lng == null)
-      return res.status(400).json({ error: "rider_id, lat, lng are required" });
+    const { lat, lng, rider_location_id } = req.body;
+    const rider_id = resolveActor(req, req.body.rider_id, "rider_id");
 
     const docId = String(rider_id);                  // ใช้ rider_id เป็น docId
     const locId = String(rider_location_id ?? rider_id); // ค่าเก็บในฟิลด์
 
     const docRef = db.collection(RIDER_LOC_COL).doc(docId);
-    const snap = await docRef.get();
+    const [snap, activeSnap] = await Promise.all([
+      docRef.get(),
+      db.collection(ASSIGN_COL)
+        .where("rider_id", "==", Number(rider_id))
+        .where("status", "in", ACTIVE_STATUSES)
+        .get(),
+    ]);
 
     const payload = {
       rider_location_id: snap.exists && snap.data()?.rider_location_id
@@ -818,25 +2740,43 @@ app.post("/rider/location/update", async (req, res) => {
       updatedAt: admin.firestore.FieldValue.serverTimestamp(),
     };
 
-    await docRef.set(payload, { merge: true });
-    return res.json({ ok: true, updated: true, rider_location_id: payload.rider_location_id });
+    // ตำแหน่งล่าสุด + breadcrumb ของทุกงานที่กำลังถืออยู่
+    const batch = db.batch();
+    batch.set(docRef, payload, { merge: true });
+    activeSnap.forEach(a => {
+      const x = a.data();
+      recordTrackPoint(batch, {
+        assi_id: x.assi_id, delivery_id: x.delivery_id, rider_id, lat, lng, source: "location",
+      });
+    });
+    await batch.commit();
+    activeSnap.forEach(a => emitRiderLocation(a.data().delivery_id, rider_id, lat, lng));
+
+    return res.json({
+      ok: true,
+      updated: true,
+      rider_location_id: payload.rider_location_id,
+      tracked_assignments: activeSnap.docs.map(a => a.data().assi_id),
+    });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 // GET /riders/overview/:riderId
-// -> { rider_lat, rider_lng, receiver_lat, receiver_lng, delivery_id }
-app.get("/riders/overview/:riderId", async (req, res) => {
+// -> { rider_lat, rider_lng, receiver_lat, receiver_lng, delivery_id,
+//      status, target, target_lat, target_lng, distance_km, eta_minutes, speed_kmh, speed_source }
+//    target = "pickup" (accept) | "dropoff" (transporting) — ดู computeRiderProgress
+app.get("/riders/overview/:riderId", validate({ params: { riderId: v.id() } }), async (req, res) => {
   try {
-    const riderIdStr = String(req.params.riderId);
-    const riderIdNum = Number(riderIdStr);
+    const riderIdNum = req.params.riderId;
+    const riderIdStr = String(riderIdNum);
+    // ตัวไรเดอร์เอง หรือ ผู้ส่ง/ผู้รับของงานที่ไรเดอร์ถืออยู่ (ตรวจหลังหา delivery ด้านล่าง)
+    const isSelf = req.auth.user_id === riderIdNum;
 
     // 1) ตำแหน่งล่าสุดของไรเดอร์
     const locSnap = await db.collection(RIDER_LOC_COL).doc(riderIdStr).get();
-    if (!locSnap.exists) {
-      return res.status(404).json({ error: "rider location not found" });
-    }
+    if (!locSnap.exists) throw new NotFoundError("RIDER_LOCATION_NOT_FOUND", "rider location not found");
     const loc = locSnap.data();
     const rider_lat = loc.lat == null ? null : Number(loc.lat);
     const rider_lng = loc.lng == null ? null : Number(loc.lng);
@@ -850,7 +2790,7 @@ app.get("/riders/overview/:riderId", async (req, res) => {
     let latest = null;
     aSnap.forEach(d => {
       const a = d.data();
-      if (["accept", "transporting"].includes(String(a.status))) {
+      if (ACTIVE_STATUSES.includes(String(a.status))) {
         if (!latest || Number(a.assi_id || 0) > Number(latest.assi_id || 0)) {
           latest = a;
         }
@@ -858,11 +2798,15 @@ app.get("/riders/overview/:riderId", async (req, res) => {
     });
 
     if (!latest) {
+      if (!isSelf) throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this rider's delivery");
       // ไม่มีงานค้าง ส่งพิกัดไรเดอร์ แต่ delivery/receiver เป็น null
       return res.json({
         rider_lat, rider_lng,
         receiver_lat: null, receiver_lng: null,
         delivery_id: null,
+        status: null,
+        target: null, target_lat: null, target_lng: null,
+        distance_km: null, eta_minutes: null, speed_kmh: null, speed_source: null,
         updatedAt: loc.updatedAt || null,
       });
     }
@@ -871,15 +2815,22 @@ app.get("/riders/overview/:riderId", async (req, res) => {
     const deliveryId = Number(latest.delivery_id);
     const dSnap = await db.collection(DELIVERY_COL).doc(String(deliveryId)).get();
     if (!dSnap.exists) {
+      if (!isSelf) throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this rider's delivery");
       return res.json({
         rider_lat, rider_lng,
         receiver_lat: null, receiver_lng: null,
         delivery_id: deliveryId,
+        status: latest.status,
+        target: null, target_lat: null, target_lng: null,
+        distance_km: null, eta_minutes: null, speed_kmh: null, speed_source: null,
         updatedAt: loc.updatedAt || null,
       });
     }
 
     const d = dSnap.data();
+    if (!isSelf && req.auth.user_id !== Number(d.user_id_sender) && req.auth.user_id !== Number(d.user_id_receiver)) {
+      throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this rider's delivery");
+    }
     const addrRecvId = d.address_id_receiver != null ? String(d.address_id_receiver) : null;
 
     // 4) อ่านพิกัดผู้รับจาก user_address
@@ -893,90 +2844,167 @@ app.get("/riders/overview/:riderId", async (req, res) => {
       }
     }
 
+    // 5) ระยะ + ETA ถึงเป้าหมายปัจจุบัน
+    const progress = await computeRiderProgress({ assignment: latest, delivery: d, rider_lat, rider_lng });
+
     return res.json({
       rider_lat, rider_lng,
       receiver_lat, receiver_lng,
       delivery_id: deliveryId,
+      status: latest.status,
+      ...progress,
       updatedAt: loc.updatedAt || null,
     });
 
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 
+/**
+ * ตรวจ PIN ที่ไรเดอร์ได้จากผู้รับ (เรียกใน transaction ของ finish) — ไม่โยน error
+ * ครั้งที่ผิดเขียนลง delivery_pin ใน tx แล้วคืนผลให้ commit ก่อน ผู้เรียกค่อยโยนด้วย pinError (แม้ request จะ error ก็ถูกนับ)
+ * @returns {{ ok:true, legacy?:boolean } | { ok:false, wasLocked?:boolean, missing?:boolean, attempts_left?:number, locked?:boolean }}
+ *          legacy = งานเก่าที่สร้างก่อนมี PIN (ไม่ต้องตรวจ)
+ */
+function checkDeliveryPin(tx, pinSnap, pin) {
+  if (!pinSnap.exists) return { ok: true, legacy: true };
+  const stored = pinSnap.data();
+  if (stored.locked) return { ok: false, wasLocked: true };
+  if (pin == null) return { ok: false, missing: true };
+
+  const r = checkPinAttempt(stored, pin);
+  if (!r.ok) {
+    tx.update(pinSnap.ref, { attempts: r.attempts, locked: r.locked, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+  }
+  return r;
+}
+
+/** error ของผล checkDeliveryPin ที่ไม่ผ่าน */
+function pinError(result) {
+  if (result.wasLocked) {
+    return new ConflictError("PIN_LOCKED", "too many wrong PIN attempts; finish with override_reason and picture_status3", {
+      max_attempts: PIN_MAX_ATTEMPTS,
+    });
+  }
+  if (result.missing) {
+    return new ValidationError([{ field: "body.pin", message: "is required (or override_reason with picture_status3)" }]);
+  }
+  return new ForbiddenError("INVALID_PIN", "delivery PIN is incorrect", {
+    attempts_left: result.attempts_left,
+    locked: result.locked,
+  });
+}
+
 // POST /deliveries/update-status-finish
-// body: { delivery_id, picture_status3?, rider_id? }
-// ปิดงานส่งของ (finish) — ใช้ rider_id = user_id ของผู้ใช้
-app.post("/deliveries/update-status-finish", async (req, res) => {
+// body: { delivery_id, rider_lat, rider_lng, pin?, override_reason?, picture_status3?, rider_id? }
+// ไรเดอร์ต้องอยู่ในรัศมี GEOFENCE_RADIUS_M ของที่อยู่ผู้รับ
+// ต้องส่ง pin (ขอจากผู้รับ) — ผู้รับให้ PIN ไม่ได้ / PIN ถูกล็อก → ส่ง override_reason + picture_status3 แทน
+// ปิดงานส่งของ (finish) — rider_id = user_id ของผู้ถือ token
+app.post("/deliveries/update-status-finish", requireRole(ROLE_RIDER), validate({
+  body: {
+    ...riderStepSchema,
+    picture_status3: v.imageRef({ optional: true }),
+    pin: v.string({ optional: true, pattern: PIN_PATTERN }),
+    override_reason: v.string({ optional: true, min: 1, max: 500 }),
+  },
+}), async (req, res) => {
   try {
-    const { delivery_id, picture_status3, rider_id } = req.body ?? {};
-    const status = "finish";
+    const { delivery_id, picture_status3, rider_lat, rider_lng, pin, override_reason } = req.body;
+    const status = STATUS.FINISH;
 
-    if (!delivery_id) {
-      return res.status(400).json({ error: "delivery_id is required" });
-    }
-
-    // --- ตรวจสิทธิ์: rider_id ใน body = user_id ของผู้ใช้ ---
+    // --- ตรวจสิทธิ์: rider_id = user_id ใน token ---
     // ต้องมี user (doc id = rider_id) และ user.role === 1 (เป็นไรเดอร์)
-    if (rider_id == null) {
-      return res.status(400).json({ error: "rider_id (user_id) is required" });
-    }
+    const rider_id = resolveActor(req, req.body.rider_id, "rider_id");
     const riderUserDoc = await db.collection(USER_COL).doc(String(rider_id)).get();
-    if (!riderUserDoc.exists) {
-      return res.status(404).json({ error: "rider user not found" });
-    }
+    if (!riderUserDoc.exists) throw new NotFoundError("USER_NOT_FOUND", "rider user not found");
     const riderUser = riderUserDoc.data() || {};
     if (Number(riderUser.role) !== 1) {
-      return res.status(403).json({ error: "permission denied: user is not a rider" });
+      throw new ForbiddenError("NOT_A_RIDER", "permission denied: user is not a rider");
     }
 
-    // --- หา assignment ของดีลิเวอรี่นี้ (กำลังขนส่งอยู่) ---
-    const assignSnap = await db.collection(ASSIGN_COL)
-      .where("delivery_id", "==", Number(delivery_id))
-      .get();
-
-    if (assignSnap.empty) {
-      return res.status(404).json({ error: "assignment for this delivery not found" });
+    const pic3Url = await resolveImageRef(picture_status3, { user_id: Number(rider_id), field: "picture_status3" });
+    if (override_reason != null && !pic3Url) {
+      throw new ValidationError([{ field: "body.picture_status3", message: "is required when override_reason is given" }]);
     }
 
-    const aDoc = assignSnap.docs.find(d => d.data()?.status === "transporting");
-    if (!aDoc) {
-      return res.status(400).json({ error: "No assignment in 'transporting' for this delivery" });
-    }
-
-    const a = aDoc.data();
-
-    // --- ตรวจว่า rider ที่ยิงคำขอ = rider ที่ถือเคสอยู่ไหม (เราเก็บ rider_id = user_id ของไรเดอร์) ---
-    if (Number(rider_id) !== Number(a.rider_id)) {
-      return res.status(403).json({ error: "rider_id does not match assignment holder" });
-    }
+    // อ่าน / ตรวจสถานะ / เขียน ใน transaction เดียว — finish พร้อมกันสองครั้ง ครั้งหลังได้ 409
+    const deliveryRef = db.collection(DELIVERY_COL).doc(String(delivery_id));
+    const assignQ = db.collection(ASSIGN_COL).where("delivery_id", "==", Number(delivery_id));
+    const pinRef = db.collection(PIN_COL).doc(String(delivery_id));
+
+    const { a, aRef, d, confirmed_by, pinResult } = await db.runTransaction(async (tx) => {
+      // ----- READS -----
+      // --- หา assignment ของดีลิเวอรี่นี้ (กำลังขนส่งอยู่) ---
+      const assignSnap = await tx.get(assignQ);
+      if (assignSnap.empty) {
+        throw new NotFoundError("ASSIGNMENT_NOT_FOUND", "assignment for this delivery not found");
+      }
+      const aDoc = assignSnap.docs.find(x => x.data()?.status === "transporting");
+      if (!aDoc) {
+        throw new ConflictError("ASSIGNMENT_NOT_TRANSPORTING", "No assignment in 'transporting' for this delivery");
+      }
+      const a = aDoc.data();
 
-    // --- มี delivery จริงไหม ---
-    const deliveryRef = db.collection(DELIVERY_COL).doc(String(a.delivery_id));
-    const deliveryDoc = await deliveryRef.get();
-    if (!deliveryDoc.exists) {
-      return res.status(404).json({ error: "delivery not found" });
-    }
-    const d = deliveryDoc.data();
+      // --- ตรวจว่า rider ที่ยิงคำขอ = rider ที่ถือเคสอยู่ไหม (เราเก็บ rider_id = user_id ของไรเดอร์) ---
+      if (Number(rider_id) !== Number(a.rider_id)) {
+        throw new ForbiddenError("NOT_ASSIGNMENT_HOLDER", "rider_id does not match assignment holder");
+      }
 
-    // --- อัปเดต assignment -> finish + แนบรูปปลายทาง (status3) ---
-    const assignUpdates = {
-      status,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      ...(picture_status3 ? { picture_status3 } : {}),
-    };
-    await aDoc.ref.update(assignUpdates);
+      const dSnap = await tx.get(deliveryRef);
+      if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
+      const d = dSnap.data();
+      assertTransition(d.status, status, "rider");
+
+      // --- ต้องอยู่ใกล้จุดส่ง (ที่อยู่ผู้รับ) ---
+      const dropoffSnap = await tx.get(db.collection(ADDR_COL).doc(String(d.address_id_receiver)));
+      assertWithinGeofence(dropoffSnap.data(), rider_lat, rider_lng, "drop-off");
+
+      // --- ยืนยันกับผู้รับ: PIN หรือ override (ต้องมีรูปปลายทาง + เหตุผล) ---
+      let confirmed_by = "override";
+      if (override_reason == null) {
+        const pinResult = checkDeliveryPin(tx, await tx.get(pinRef), pin);
+        if (!pinResult.ok) return { pinResult };   // commit จำนวนครั้งที่ผิด ไม่เปลี่ยนสถานะ
+        confirmed_by = pinResult.legacy ? null : "pin";
+      }
 
-    // --- sync delivery.status -> finish ---
-    await deliveryRef.update({
-      status,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      // ----- WRITES: assignment -> finish + แนบรูปปลายทาง (status3) + sync delivery + history -----
+      tx.update(aDoc.ref, {
+        status,
+        confirmed_by,
+        ...(confirmed_by === "override" ? { override_reason } : {}),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        ...(pic3Url ? { picture_status3: pic3Url } : {}),
+      });
+      tx.update(deliveryRef, {
+        status,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      recordTransition(tx, {
+        delivery_id: a.delivery_id,
+        from: d.status,
+        to: status,
+        actor: { user_id: Number(rider_id), kind: "rider" },
+        lat: rider_lat,
+        lng: rider_lng,
+        reason: confirmed_by === "override" ? override_reason : null,
+      });
+      recordLedger(tx, d, rider_id);
+      recordTrackPoint(tx, {
+        assi_id: a.assi_id, delivery_id: a.delivery_id, rider_id, lat: rider_lat, lng: rider_lng, source: "finish",
+      });
+      return { a, aRef: aDoc.ref, d, confirmed_by };
     });
+    if (pinResult) throw pinError(pinResult);
 
     // --- อ่าน assignment ล่าสุดหลังอัปเดต เพื่อคืนค่ารูปครบ ---
-    const aLatest = (await aDoc.ref.get()).data() || {};
+    const aLatest = (await aRef.get()).data() || {};
+
+    // หลัง commit แล้วเท่านั้น — location ก่อน status (stream ปิดตัวเองเมื่อได้ status finish)
+    emitRiderLocation(a.delivery_id, rider_id, rider_lat, rider_lng);
+    emitStatusChange(a.delivery_id, d.status, status, { user_id: Number(rider_id), kind: "rider" });
+    notifyStatusChange(d, status);
 
     return res.json({
       ok: true,
@@ -985,6 +3013,7 @@ app.post("/deliveries/update-status-finish", async (req, res) => {
       assi_id: a.assi_id,
       rider_id: a.rider_id,         // = user_id ของไรเดอร์
       rider_user_role: riderUser.role, // เผื่อ debug
+      confirmed_by,                 // "pin" | "override" | null (งานเก่าที่ไม่มี PIN)
 
       // รูปพิสูจน์
       proof_images: {
@@ -999,6 +3028,8 @@ app.post("/deliveries/update-status-finish", async (req, res) => {
         picture_product: d?.picture_product ?? null,
         amount: d?.amount ?? null,
         phone_receiver: d?.phone_receiver ?? null,
+        price: d?.price ?? null,
+        cod_amount: d?.cod_amount ?? 0,
       },
 
       // ข้อมูลเสริม
@@ -1013,41 +3044,350 @@ app.post("/deliveries/update-status-finish", async (req, res) => {
       },
     });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 
 
 
-// GET /users/:userId/rider-car  -> หา rider_car ด้วย user_id
-app.get("/users/:userId/rider-car", async (req, res) => {
+// GET /users/:userId/rider-car  -> rider_car คันที่ active ของ user_id + rider_rating { average, count }
+// สิทธิ์: ไรเดอร์เอง / admin / ผู้ส่ง-ผู้รับของงานที่ไรเดอร์คนนี้ถืออยู่หรือส่งสำเร็จแล้ว
+// (รถทุกคัน: GET /riders/vehicles)
+app.get("/users/:userId/rider-car", validate({ params: { userId: v.id() } }), async (req, res) => {
   try {
-    const userId = Number(req.params.userId);
+    const { userId } = req.params;
+    const allowed = req.auth.role === ROLE_ADMIN || req.auth.user_id === Number(userId)
+      || await hasDeliveryWithRider(req.auth.user_id, userId);
+    if (!allowed) throw new ForbiddenError("NOT_A_PARTICIPANT", "no active or finished delivery with this rider");
 
-    const snap = await db.collection("rider_car")
-      .where("user_id", "==", userId)
-      .limit(1)
+    const car = await getActiveVehicle(userId);
+    if (!car) throw new NotFoundError("RIDER_CAR_NOT_FOUND", "rider_car not found");
+
+    const ratings = await riderRatings([userId]);
+    return res.json({ ...car, rider_rating: ratings.get(Number(userId)) });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* --------------------------------- Rider ratings ---------------------------------
+POST /deliveries/:delivery_id/rating   (ผู้ส่ง / ผู้รับ ของงานที่ finish แล้ว)
+body: { rating: 1-5, comment?: string }
+-> 201 { rating: { rating_id, delivery_id, rider_id, rater_id, rater_role, rating, comment }, rider_rating }
+- ให้ได้คนละครั้งต่องาน (doc id = <delivery_id>-<rater_id>) ซ้ำ → 409 ALREADY_RATED
+- คะแนนไปที่ไรเดอร์ที่ finish งานนี้ และอัปเดต rating_sum / rating_count บน user ของไรเดอร์
+  ใน transaction เดียวกัน (average = rating_sum / rating_count)
+
+GET /riders/:riderId/ratings?limit=20&cursor=...
+-> { rider_id, rider_rating: { average, count }, count, items, next_cursor }   (ใหม่สุดก่อน)
+--------------------------------------------------------------------------------- */
+app.post("/deliveries/:delivery_id/rating", validate({
+  params: { delivery_id: v.id() },
+  body: {
+    rating: v.int({ min: 1, max: 5 }),
+    comment: v.string({ optional: true, max: 1000 }),
+  },
+}), async (req, res) => {
+  try {
+    const deliveryId = req.params.delivery_id;
+    const raterId = req.auth.user_id;
+    const { rating, comment } = req.body;
+
+    const deliveryRef = db.collection(DELIVERY_COL).doc(String(deliveryId));
+    const ratingRef = db.collection(RATING_COL).doc(`${deliveryId}-${raterId}`);
+    const assignQ = db.collection(ASSIGN_COL).where("delivery_id", "==", deliveryId);
+
+    const result = await db.runTransaction(async (tx) => {
+      const dSnap = await tx.get(deliveryRef);
+      if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
+      const d = dSnap.data();
+
+      const rater_role = raterId === Number(d.user_id_sender) ? "sender"
+        : raterId === Number(d.user_id_receiver) ? "receiver"
+          : null;
+      if (!rater_role) throw new ForbiddenError("NOT_A_PARTICIPANT", "only the sender or receiver can rate this delivery");
+      if (d.status !== STATUS.FINISH) {
+        throw new ConflictError("DELIVERY_NOT_FINISHED", "delivery can only be rated after it is finished", { status: d.status ?? null });
+      }
+
+      // ไรเดอร์ที่ finish งานนี้ (assignment finish ล่าสุด)
+      const aSnap = await tx.get(assignQ);
+      const finished = aSnap.docs
+        .map(a => a.data())
+        .filter(a => a.status === STATUS.FINISH)
+        .sort((a, b) => Number(b.assi_id || 0) - Number(a.assi_id || 0))[0];
+      if (!finished) throw new NotFoundError("ASSIGNMENT_NOT_FOUND", "no finished assignment for this delivery");
+      const riderId = Number(finished.rider_id);
+
+      if ((await tx.get(ratingRef)).exists) {
+        throw new ConflictError("ALREADY_RATED", "you have already rated this delivery", { delivery_id: deliveryId });
+      }
+      const riderRef = db.collection(USER_COL).doc(String(riderId));
+      const rSnap = await tx.get(riderRef);
+      const before = rSnap.exists ? rSnap.data() : {};
+
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const entry = {
+        rating_id: ratingRef.id,
+        delivery_id: deliveryId,
+        rider_id: riderId,
+        rater_id: raterId,
+        rater_role,
+        rating,
+        comment: comment ?? null,
+      };
+      tx.set(ratingRef, { ...entry, createdAt: now, updatedAt: now });
+
+      const after = {
+        rating_sum: Number(before.rating_sum || 0) + rating,
+        rating_count: Number(before.rating_count || 0) + 1,
+      };
+      if (rSnap.exists) tx.update(riderRef, after);
+      return { rating: entry, rider_rating: riderRatingOf(after) };
+    });
+
+    return res.status(201).json(result);
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+app.get("/riders/:riderId/ratings", validate({ params: { riderId: v.id() }, query: pageQuery }), async (req, res) => {
+  try {
+    const riderId = req.params.riderId;
+    const page = parsePageParams(req.query);
+
+    const uSnap = await db.collection(USER_COL).doc(String(riderId)).get();
+    if (!uSnap.exists || Number(uSnap.data().role) !== ROLE_RIDER) {
+      throw new NotFoundError("RIDER_NOT_FOUND", "rider not found");
+    }
+
+    const { docs, next_cursor } = await paginateQuery(
+      db.collection(RATING_COL).where("rider_id", "==", riderId),
+      page
+    );
+    const items = docs.map(doc => {
+      const r = doc.data();
+      return {
+        rating_id: doc.id,
+        delivery_id: r.delivery_id,
+        rater_role: r.rater_role ?? null,
+        rating: r.rating,
+        comment: r.comment ?? null,
+        createdAt: r.createdAt ?? null,
+      };
+    });
+
+    return res.json({ rider_id: riderId, rider_rating: riderRatingOf(uSnap.data()), count: items.length, items, next_cursor });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ================================ Rider vehicles ================================
+   จัดการรถของไรเดอร์ (ผู้ถือ token, rider role เท่านั้น) — ดูกติกาที่หัวข้อ Vehicles
+================================================================================ */
+/** rider_car ของผู้เรียก (ยังไม่ถูกลบ) ไม่งั้น 404 / 403 */
+async function getOwnVehicle(req, carId) {
+  const ref = db.collection(RIDER_COL).doc(String(carId));
+  const snap = await ref.get();
+  if (!snap.exists || snap.data().deleted) throw new NotFoundError("RIDER_CAR_NOT_FOUND", "rider_car not found");
+  if (Number(snap.data().user_id) !== req.auth.user_id) {
+    throw new ForbiddenError("RIDER_CAR_NOT_OWNED", "rider_car belongs to another rider");
+  }
+  return { ref, car: { id: snap.id, ...snap.data() } };
+}
+
+// GET /riders/vehicles -> { count, items }  (active ขึ้นก่อน)
+app.get("/riders/vehicles", requireRole(ROLE_RIDER), async (req, res) => {
+  try {
+    const snap = await riderVehiclesQuery(req.auth.user_id).get();
+    const items = riderVehiclesOf(snap.docs);
+    return res.json({ count: items.length, items });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* POST /riders/vehicles
+   body: { plate_number, car_type, image_car?, is_active? }  (is_active = true → คันอื่นไม่ active)
+   -> 201 { rider_car } */
+app.post("/riders/vehicles", requireRole(ROLE_RIDER), validate({
+  body: {
+    plate_number: v.string({ min: 1, max: 20 }),
+    car_type: v.string({ enum: CAR_TYPES }),
+    image_car: v.imageRef({ optional: true }),
+    is_active: v.boolean({ optional: true }),
+  },
+}), async (req, res) => {
+  try {
+    const uid = req.auth.user_id;
+    const { plate_number, car_type, is_active } = req.body;
+    const image_car = await resolveImageRef(req.body.image_car, { user_id: uid, field: "image_car" });
+    const rider_car = await createRiderCar({ user_id: uid, image_car, plate_number, car_type, is_active });
+    return res.status(201).json({ rider_car });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* PATCH /riders/vehicles/:id
+   body: { plate_number?, car_type?, image_car? }  (ส่งเฉพาะ field ที่จะแก้)
+   - งานที่รับไปแล้วไม่เปลี่ยนตาม (assignment เก็บ snapshot ของรถตอนรับงาน) */
+app.patch("/riders/vehicles/:id", requireRole(ROLE_RIDER), validate({
+  params: { id: v.id() },
+  body: {
+    plate_number: v.string({ optional: true, min: 1, max: 20 }),
+    car_type: v.string({ optional: true, enum: CAR_TYPES }),
+    image_car: v.imageRef({ optional: true }),
+  },
+}), async (req, res) => {
+  try {
+    const { ref, car } = await getOwnVehicle(req, req.params.id);
+    const { plate_number, car_type } = req.body;
+
+    const patch = {};
+    const newPlate = plate_number !== undefined && normalizePlate(plate_number) !== car.plate_number
+      ? normalizePlate(plate_number)
+      : null;
+    if (newPlate) patch.plate_number = newPlate;
+    if (car_type !== undefined) patch.car_type = car_type;
+    if (req.body.image_car !== undefined) {
+      patch.image_car = await resolveImageRef(req.body.image_car, { user_id: req.auth.user_id, field: "image_car" });
+    }
+
+    if (Object.keys(patch).length) {
+      await db.runTransaction(async (tx) => {
+        // เปลี่ยนป้าย: จองป้ายใหม่ + ปล่อยป้ายเดิม พร้อมกับแก้รถ
+        if (newPlate) {
+          await assertPlateNotDuplicate(newPlate, { exceptId: car.id, tx });
+          reservePlate(tx, newPlate, { rider_car_id: car.id, user_id: car.user_id });
+          if (car.plate_number) tx.delete(plateRef(car.plate_number));
+        }
+        tx.update(ref, { ...patch, updatedAt: admin.firestore.FieldValue.serverTimestamp() });
+      });
+    }
+    const items = riderVehiclesOf((await riderVehiclesQuery(req.auth.user_id).get()).docs);
+    return res.json({ rider_car: items.find(c => c.id === car.id) });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// POST /riders/vehicles/:id/activate -> ใช้คันนี้รับงานถัดไป (งานที่ถืออยู่ใช้รถเดิมตาม snapshot)
+app.post("/riders/vehicles/:id/activate", requireRole(ROLE_RIDER), validate({
+  params: { id: v.id() },
+}), async (req, res) => {
+  try {
+    const { car } = await getOwnVehicle(req, req.params.id);
+    await activateVehicle(req.auth.user_id, car.id);
+    const items = riderVehiclesOf((await riderVehiclesQuery(req.auth.user_id).get()).docs);
+    return res.json({ count: items.length, items });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* DELETE /riders/vehicles/:id
+   - ลบได้แม้ถืองานอยู่ — assignment เก็บ snapshot ของรถไว้แล้ว งานที่ถืออยู่ไม่เปลี่ยน
+   - ลบคันที่ active แล้วมีรถคันอื่น → คันที่ rider_id น้อยสุดเป็น active แทน
+   - ป้ายของคันที่ลบว่างให้คันอื่นใช้ได้ทันที */
+app.delete("/riders/vehicles/:id", requireRole(ROLE_RIDER), validate({
+  params: { id: v.id() },
+}), async (req, res) => {
+  try {
+    const uid = req.auth.user_id;
+    const { ref, car } = await getOwnVehicle(req, req.params.id);
+    const active = await getActiveVehicle(uid);
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const batch = db.batch();
+    batch.update(ref, { deleted: true, deletedAt: now, is_active: false, updatedAt: now });
+    if (car.plate_number) batch.delete(plateRef(car.plate_number));
+    await batch.commit();
+
+    const items = riderVehiclesOf((await riderVehiclesQuery(uid).get()).docs);
+    if (active?.id === car.id && items.length) await activateVehicle(uid, items[0].id);
+
+    return res.json({ ok: true, message: `rider_car ${car.id} deleted successfully` });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+// GET /delivery-assignments/:assi_id/track?format=polyline
+// เส้นทางที่ไรเดอร์วิ่งจริงของ assignment นี้ (เรียงตามเวลา) + ระยะทางรวม
+// สิทธิ์: ผู้ส่ง / ผู้รับ / ไรเดอร์ของงาน / admin
+app.get("/delivery-assignments/:assi_id/track", validate({
+  params: { assi_id: v.id() },
+  query: { format: v.string({ optional: true, enum: ["polyline"] }) },
+}), async (req, res) => {
+  try {
+    const assiId = req.params.assi_id;
+
+    const aSnap = await db.collection(ASSIGN_COL).doc(String(assiId)).get();
+    if (!aSnap.exists) throw new NotFoundError("ASSIGNMENT_NOT_FOUND", "assignment not found");
+    const a = aSnap.data();
+
+    if (req.auth.role !== ROLE_ADMIN && req.auth.user_id !== Number(a.rider_id)) {
+      const dSnap = await db.collection(DELIVERY_COL).doc(String(a.delivery_id)).get();
+      if (!dSnap.exists || !(await isDeliveryParticipant(dSnap.data(), req.auth.user_id))) {
+        throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this delivery");
+      }
+    }
+
+    // ไม่ใช้ orderBy เพื่อเลี่ยง composite index → เรียงในโค้ด
+    const snap = await db.collection(TRACK_COL)
+      .where("assi_id", "==", assiId)
       .get();
 
-    if (snap.empty) return res.status(404).json({ error: "rider_car not found" });
+    const points = snap.docs
+      .map(d => {
+        const t = d.data();
+        return {
+          lat: Number(t.lat),
+          lng: Number(t.lng),
+          source: t.source ?? null,
+          recordedAt: t.recordedAt?.toDate ? t.recordedAt.toDate().toISOString() : null,
+        };
+      })
+      .sort((x, y) => (x.recordedAt ? Date.parse(x.recordedAt) : 0) - (y.recordedAt ? Date.parse(y.recordedAt) : 0));
 
-    const d = snap.docs[0];
-    return res.json({ id: d.id, ...d.data() });
+    const result = {
+      assi_id: assiId,
+      delivery_id: a.delivery_id ?? null,
+      rider_id: a.rider_id ?? null,
+      status: a.status ?? null,
+      count: points.length,
+      distance_km: Math.round(pathDistanceKm(points) * 1000) / 1000,
+      points,
+    };
+    if (req.query.format === "polyline") {
+      result.polyline = encodePolyline(points);
+    }
+    return res.json(result);
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 // GET /delivery-assignments/by-delivery/:delivery_id
 // ตัวอย่าง: /delivery-assignments/by-delivery/1        -> ส่งรายการทั้งหมดของ delivery_id = 1
-app.get("/delivery-assignments/by-delivery/:delivery_id", async (req, res) => {
+// สิทธิ์: ผู้ส่ง / ผู้รับ / ไรเดอร์ของงาน / admin
+app.get("/delivery-assignments/by-delivery/:delivery_id", validate({
+  params: { delivery_id: v.id() },
+  query: { latest: v.boolean({ default: false }) },
+}), async (req, res) => {
   try {
-    const deliveryId = Number(req.params.delivery_id);
-    const latestOnly = String(req.query.latest || "") === "1";
+    const deliveryId = req.params.delivery_id;
+    const latestOnly = req.query.latest;
 
-    if (!Number.isFinite(deliveryId)) {
-      return res.status(400).json({ error: "delivery_id ต้องเป็นตัวเลข" });
+    if (req.auth.role !== ROLE_ADMIN) {
+      const dSnap = await db.collection(DELIVERY_COL).doc(String(deliveryId)).get();
+      if (!dSnap.exists || !(await isDeliveryParticipant(dSnap.data(), req.auth.user_id))) {
+        throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this delivery");
+      }
     }
 
     // ดึงเอกสารที่มี delivery_id ตรงกัน (ไม่ใส่ orderBy เพื่อเลี่ยง requirement index)
@@ -1057,19 +3397,21 @@ app.get("/delivery-assignments/by-delivery/:delivery_id", async (req, res) => {
       .get();
 
     if (snap.empty) {
-      return res.status(404).json({ error: "ไม่พบข้อมูล assignment ของ delivery นี้" });
+      throw new NotFoundError("ASSIGNMENT_NOT_FOUND", "no assignment found for this delivery");
     }
 
     // แปลง Timestamp -> ISO string และจัดเรียงใหม่ในโค้ด (updatedAt > createdAt)
     const toISO = (ts) =>
       ts && typeof ts.toDate === "function" ? ts.toDate().toISOString() : null;
 
+    const ratings = await riderRatings(snap.docs.map(d => d.data().rider_id));
     const items = snap.docs
       .map((d) => {
         const data = d.data();
         return {
           id: d.id,
           ...data,
+          rider_rating: ratings.get(Number(data.rider_id)) ?? null,
           createdAt: toISO(data.createdAt),
           updatedAt: toISO(data.updatedAt),
         };
@@ -1088,53 +3430,121 @@ app.get("/delivery-assignments/by-delivery/:delivery_id", async (req, res) => {
     }
     return res.json({ count: items.length, items });
   } catch (e) {
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
 
-app.get("/riders/history/:user_id?", async (req, res) => {
+/* ------------------------------ Ledger summaries ------------------------------
+query: ?period=day|week&from=YYYY-MM-DD&to=YYYY-MM-DD  (วันที่ตามเวลาท้องถิ่น, รวมทั้งสองวัน)
+- ไม่ส่ง from/to → 30 วันล่าสุด, ช่วงยาวสุด 366 วัน
+- entry ที่ถูก void (admin ย้ายงานออกจาก finish) ไม่ถูกนับ
+--------------------------------------------------------------------------------- */
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SUMMARY_MAX_DAYS = 366;
+
+const summaryQuery = {
+  period: v.string({ enum: PERIODS, default: "day" }),
+  from: v.string({ optional: true, pattern: DATE_PATTERN }),
+  to: v.string({ optional: true, pattern: DATE_PATTERN }),
+};
+
+function summaryRange({ from, to }) {
+  const end = to ?? localDate(Date.now());
+  const start = from ?? addDays(end, -29);
+  if (start > end) throw new ValidationError([{ field: "query.from", message: "must not be after to" }]);
+  if (addDays(start, SUMMARY_MAX_DAYS - 1) < end) {
+    throw new ValidationError([{ field: "query.from", message: `range must be at most ${SUMMARY_MAX_DAYS} days` }]);
+  }
+  return { from: start, to: end };
+}
+
+/** รวม ledger ของ user_id ในบัญชี account ตามช่วงเวลา */
+async function ledgerSummary({ user_id, account, kinds, query }) {
+  const { from, to } = summaryRange(query);
+  const snap = await db.collection(LEDGER_COL)
+    .where("user_id", "==", user_id)
+    .where("account", "==", account)
+    .get();
+
+  const entries = snap.docs
+    .map(doc => doc.data())
+    .filter(e => !e.void && e.createdAt && typeof e.createdAt.toMillis === "function")
+    .map(e => ({ kind: e.kind, amount: Number(e.amount), delivery_id: e.delivery_id, createdAt: e.createdAt.toMillis() }));
+
+  const { totals, items } = summarizeByPeriod(entries, { period: query.period, from, to, kinds });
+  return { period: query.period, from, to, currency: PRICING_RULES.currency, totals, items };
+}
+
+/* GET /riders/earnings/:user_id?period=day|week&from=&to=
+-> { rider_id, period, from, to, currency,
+     totals: { deliveries, rider_earning, cod_collected, net },
+     items: [{ period_start, deliveries, rider_earning, cod_collected, net }] }
+- rider_earning = ค่าส่งหลังหักส่วนแบ่งแพลตฟอร์ม
+- cod_collected = เงินปลายทางที่ไรเดอร์เก็บจากผู้รับ (ต้องส่งต่อให้ผู้ส่ง)
+- net = rider_earning − cod_collected (ติดลบ = ไรเดอร์ถือเงินเกินรายได้)
+*/
+app.get("/riders/earnings/:user_id?", validate({
+  params: { user_id: v.id({ optional: true }) },
+  query: summaryQuery,
+}), async (req, res) => {
   try {
-    // รองรับทั้ง path param และ query param
-    const user_id_raw = req.params.user_id ?? req.query.user_id;
-    if (!user_id_raw) return res.status(400).json({ error: "user_id is required" });
+    const riderIdNum = resolveActor(req, req.params.user_id, "user_id");
+
+    const uSnap = await db.collection(USER_COL).doc(String(riderIdNum)).get();
+    if (!uSnap.exists) throw new NotFoundError("USER_NOT_FOUND", "user not found");
+    if (Number(uSnap.data().role) !== ROLE_RIDER) throw new ForbiddenError("NOT_A_RIDER", "user is not a rider");
+
+    const summary = await ledgerSummary({
+      user_id: riderIdNum,
+      account: "rider",
+      kinds: [ENTRY_KIND.RIDER_EARNING, ENTRY_KIND.COD_COLLECTED],
+      query: req.query,
+    });
+    const withNet = (b) => ({ ...b, net: Math.round((b.rider_earning - b.cod_collected) * 100) / 100 });
 
-    const user_id = String(user_id_raw);
-    const riderIdNum = Number(user_id);
-    if (Number.isNaN(riderIdNum)) return res.status(400).json({ error: "user_id must be a number" });
+    return res.json({
+      rider_id: riderIdNum,
+      ...summary,
+      totals: withNet(summary.totals),
+      items: summary.items.map(withNet),
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+app.get("/riders/history/:user_id?", validate({
+  params: { user_id: v.id({ optional: true }) },
+  query: { user_id: v.id({ optional: true }), ...pageQuery },
+}), async (req, res) => {
+  try {
+    // รองรับทั้ง path param และ query param — ไม่ส่งมา = ผู้ถือ token
+    const user_id_raw = req.params.user_id ?? req.query.user_id;
+    const riderIdNum = resolveActor(req, user_id_raw);
+    const user_id = String(riderIdNum);
+    const page = parsePageParams(req.query);
 
     // 1) ตรวจ user + role
     const uSnap = await db.collection(USER_COL).doc(user_id).get();
-    if (!uSnap.exists) return res.status(404).json({ error: "user not found" });
+    if (!uSnap.exists) throw new NotFoundError("USER_NOT_FOUND", "user not found");
 
     const role = (uSnap.data() || {}).role; // 0=user, 1=rider
-    if (role !== 1) return res.json({ role, count: 0, items: [] });
+    if (role !== 1) return res.json({ role, count: 0, items: [], next_cursor: null });
 
-    // 2) query assignment ของ rider ที่ finish
-    let aSnap;
-    try {
-      aSnap = await db
-        .collection(ASSIGN_COL)
+    // 2) assignment ของ rider ที่ finish ทีละหน้า (ใหม่สุดก่อน)
+    const { docs: aDocs, next_cursor } = await paginateQuery(
+      db.collection(ASSIGN_COL)
         .where("rider_id", "==", riderIdNum)
-        .where("status", "==", "finish")
-        .orderBy("updatedAt", "desc")
-        .limit(200)
-        .get();
-    } catch (err) {
-      // ถ้ายังไม่ได้สร้าง composite index สำหรับ (rider_id, status, updatedAt)
-      aSnap = await db
-        .collection(ASSIGN_COL)
-        .where("rider_id", "==", riderIdNum)
-        .where("status", "==", "finish")
-        .limit(200)
-        .get();
-    }
+        .where("status", "==", "finish"),
+      page
+    );
 
-    if (aSnap.empty) return res.json({ role, count: 0, items: [] });
+    if (!aDocs.length) return res.json({ role, count: 0, items: [], next_cursor });
 
     // 3) รวม delivery_id แล้ว batch get
     const deliveryIds = Array.from(new Set(
-      aSnap.docs.map(d => (d.data() || {}).delivery_id).filter(v => v != null).map(String)
+      aDocs.map(d => (d.data() || {}).delivery_id).filter(v => v != null).map(String)
     ));
 
     const deliveryMap = new Map();
@@ -1145,7 +3555,7 @@ app.get("/riders/history/:user_id?", async (req, res) => {
     }
 
     // 4) รวมผลลัพธ์
-    const items = aSnap.docs.map(doc => {
+    const items = aDocs.map(doc => {
       const a = doc.data() || {};
       const d = a.delivery_id != null ? deliveryMap.get(String(a.delivery_id)) || null : null;
       return {
@@ -1167,6 +3577,8 @@ app.get("/riders/history/:user_id?", async (req, res) => {
           name_product: d.name_product ?? null,
           detail_product: d.detail_product ?? null,
           amount: d.amount ?? null,
+          price: d.price ?? null,
+          cod_amount: d.cod_amount ?? 0,
           picture_product: d.picture_product ?? null,
           picture_status1: d.picture_status1 ?? null,
           phone_receiver: d.phone_receiver ?? null,
@@ -1176,56 +3588,42 @@ app.get("/riders/history/:user_id?", async (req, res) => {
       };
     });
 
-    res.json({ role, count: items.length, items });
+    res.json({ role, count: items.length, items, next_cursor });
   } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
-app.get("/users/deliveries/:user_id?", async (req, res) => {
+app.get("/users/deliveries/:user_id?", validate({
+  params: { user_id: v.id({ optional: true }) },
+  query: { user_id: v.id({ optional: true }), ...pageQuery },
+}), async (req, res) => {
   try {
-    // รองรับทั้ง path param และ query param
+    // รองรับทั้ง path param และ query param — ไม่ส่งมา = ผู้ถือ token
     const user_id_raw = req.params.user_id ?? req.query.user_id;
-    if (!user_id_raw) return res.status(400).json({ error: "user_id is required" });
-
-    const user_id = String(user_id_raw);
-    const userIdNum = Number(user_id);
-    if (Number.isNaN(userIdNum)) return res.status(400).json({ error: "user_id must be a number" });
+    const userIdNum = resolveActor(req, user_id_raw);
+    const user_id = String(userIdNum);
+    const page = parsePageParams(req.query);
 
     // 1) ตรวจ user + role
     const uSnap = await db.collection(USER_COL).doc(user_id).get();
-    if (!uSnap.exists) return res.status(404).json({ error: "user not found" });
+    if (!uSnap.exists) throw new NotFoundError("USER_NOT_FOUND", "user not found");
 
     const role = (uSnap.data() || {}).role; // 0=user, 1=rider
     // ถ้าต้องการอนุญาตเฉพาะ user ปกติ:
     if (role !== 0) {
       // เปลี่ยนเป็น 403 หากอยากบล็อกจริง ๆ
-      return res.json({ role, count: 0, items: [] });
-    }
-
-    // 2) ค้น delivery ที่ผู้ใช้คนนี้เป็นผู้ส่ง (user_id_sender == user_id)
-    let dSnap;
-    try {
-      dSnap = await db
-        .collection(DELIVERY_COL)
-        .where("user_id_sender", "==", userIdNum)
-        .orderBy("updatedAt", "desc")   // ต้องมี index ถ้าเออเรอร์จะ fallback ด้านล่าง
-        .limit(200)
-        .get();
-    } catch (err) {
-      console.warn("Composite index required for orderBy(updatedAt). Using fallback without orderBy.", err.message);
-      dSnap = await db
-        .collection(DELIVERY_COL)
-        .where("user_id_sender", "==", userIdNum)
-        .limit(200)
-        .get();
+      return res.json({ role, count: 0, items: [], next_cursor: null });
     }
 
-    if (dSnap.empty) return res.json({ role, count: 0, items: [] });
+    // 2) delivery ที่ผู้ใช้คนนี้เป็นผู้ส่ง (user_id_sender == user_id) ทีละหน้า
+    const { docs, next_cursor } = await paginateQuery(
+      db.collection(DELIVERY_COL).where("user_id_sender", "==", userIdNum),
+      page
+    );
 
     // 3) จัดรูปร่างผลลัพธ์
-    const items = dSnap.docs.map(doc => {
+    const items = docs.map(doc => {
       const d = doc.data() || {};
       return {
         id: doc.id,
@@ -1237,6 +3635,8 @@ app.get("/users/deliveries/:user_id?", async (req, res) => {
         name_product: d.name_product ?? null,
         detail_product: d.detail_product ?? null,
         amount: d.amount ?? null,
+        price: d.price ?? null,
+        cod_amount: d.cod_amount ?? 0,
         picture_product: d.picture_product ?? null,
         picture_status1: d.picture_status1 ?? null,
         phone_receiver: d.phone_receiver ?? null,
@@ -1246,57 +3646,56 @@ app.get("/users/deliveries/:user_id?", async (req, res) => {
       };
     });
 
-    return res.json({ role, count: items.length, items });
+    return res.json({ role, count: items.length, items, next_cursor });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
-// GET /deliveries/by-receiver/:user_id
-app.get("/deliveries/by-receiver/:user_id", async (req, res) => {
+// GET /deliveries/by-receiver/:user_id?limit=20&cursor=...
+app.get("/deliveries/by-receiver/:user_id", validate({ params: { user_id: v.id() }, query: pageQuery }), async (req, res) => {
   try {
-    const userId = Number(req.params.user_id);
-    if (!Number.isFinite(userId)) {
-      return res.status(400).json({ error: "user_id must be a number" });
-    }
+    const userId = resolveActor(req, req.params.user_id);
+    const page = parsePageParams(req.query);
 
     // ดึงเฉพาะงานที่ยังอยู่ระหว่างส่ง (accept/transporting)
-    const snap = await db.collection("delivery")
-      .where("user_id_receiver", "==", userId)
-      .where("status", "in", ["accept"])
-      .get();
+    const { docs, next_cursor } = await paginateQuery(
+      db.collection("delivery")
+        .where("user_id_receiver", "==", userId)
+        .where("status", "in", ["accept"]),
+      page
+    );
 
-    const items = snap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const deliveries = docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    const pins = await receiverPins(deliveries, userId);
+    const items = deliveries.map(d => ({ ...d, delivery_pin: pins.get(Number(d.delivery_id)) ?? null }));
 
     return res.json({
       user_id_receiver: userId,
       count: items.length,
       items,
+      next_cursor,
     });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ error: String(err?.message || err) });
+    return sendError(res, err);
   }
 });
 
-app.get("/deliveries/status-transporting/:user_id", async (req, res) => {
+// GET /deliveries/status-transporting/:user_id?limit=20&cursor=...
+app.get("/deliveries/status-transporting/:user_id", validate({ params: { user_id: v.id() }, query: pageQuery }), async (req, res) => {
   try {
-    const userId = Number(req.params.user_id);
-    const limit = Math.min(Number(req.query.limit) || 20, 100);
-
-    if (!Number.isFinite(userId)) {
-      return res.status(400).json({ error: "user_id must be a number" });
-    }
+    const userId = resolveActor(req, req.params.user_id);
+    const page = parsePageParams(req.query);
 
     // เอาเฉพาะงานที่กำลังขนส่ง และผู้ใช้เป็นผู้รับ
-    let q = db.collection("delivery")
-      .where("user_id_receiver", "==", userId)
-      .where("status", "==", "transporting")
-      .limit(limit); // ไม่มี orderBy(updatedAt)
-
-    const snap = await q.get();
-    const deliveries = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    const { docs, next_cursor } = await paginateQuery(
+      db.collection("delivery")
+        .where("user_id_receiver", "==", userId)
+        .where("status", "==", "transporting"),
+      page
+    );
+    const pins = await receiverPins(docs.map(d => d.data()), userId);
+    const deliveries = docs.map(d => ({ id: d.id, ...d.data(), delivery_pin: pins.get(Number(d.data().delivery_id)) ?? null }));
 
     // แนบ assignment ของแต่ละงาน (ไม่ orderBy เช่นกัน)
     const enriched = await Promise.all(deliveries.map(async (del) => {
@@ -1311,35 +3710,34 @@ app.get("/deliveries/status-transporting/:user_id", async (req, res) => {
         return { ...del, assignments: [] };
       }
     }));
+    const ratings = await riderRatings(enriched.flatMap(del => del.assignments.map(a => a.rider_id)));
+    enriched.forEach(del => del.assignments.forEach(a => { a.rider_rating = ratings.get(Number(a.rider_id)) ?? null; }));
 
     return res.json({
       user_id_receiver: userId,
       count: enriched.length,
       items: enriched,
+      next_cursor,
     });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ error: String(err?.message || err) });
+    return sendError(res, err);
   }
 });
 
-app.get("/deliveries/status-finish/:user_id", async (req, res) => {
+// GET /deliveries/status-finish/:user_id?limit=20&cursor=...
+app.get("/deliveries/status-finish/:user_id", validate({ params: { user_id: v.id() }, query: pageQuery }), async (req, res) => {
   try {
-    const userId = Number(req.params.user_id);
-    const limit = Math.min(Number(req.query.limit) || 20, 100);
-
-    if (!Number.isFinite(userId)) {
-      return res.status(400).json({ error: "user_id must be a number" });
-    }
+    const userId = resolveActor(req, req.params.user_id);
+    const page = parsePageParams(req.query);
 
     // เอาเฉพาะงานที่กำลังขนส่ง และผู้ใช้เป็นผู้รับ
-    let q = db.collection("delivery")
-      .where("user_id_receiver", "==", userId)
-      .where("status", "==", "finish")
-      .limit(limit); // ไม่มี orderBy(updatedAt)
-
-    const snap = await q.get();
-    const deliveries = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    const { docs, next_cursor } = await paginateQuery(
+      db.collection("delivery")
+        .where("user_id_receiver", "==", userId)
+        .where("status", "==", "finish"),
+      page
+    );
+    const deliveries = docs.map(d => ({ id: d.id, ...d.data() }));
 
     // แนบ assignment ของแต่ละงาน (ไม่ orderBy เช่นกัน)
     const enriched = await Promise.all(deliveries.map(async (del) => {
@@ -1354,28 +3752,33 @@ app.get("/deliveries/status-finish/:user_id", async (req, res) => {
         return { ...del, assignments: [] };
       }
     }));
+    const ratings = await riderRatings(enriched.flatMap(del => del.assignments.map(a => a.rider_id)));
+    enriched.forEach(del => del.assignments.forEach(a => { a.rider_rating = ratings.get(Number(a.rider_id)) ?? null; }));
 
     return res.json({
       user_id_receiver: userId,
       count: enriched.length,
-      items: enriched,   // ไม่มี nextCursor เพราะตัดการเรียง/แบ่งหน้าแบบ cursor ออก
+      items: enriched,
+      next_cursor,
     });
   } catch (err) {
-    console.error(err);
-    return res.status(500).json({ error: String(err?.message || err) });
+    return sendError(res, err);
   }
 });
 
 
 // GET /deliveries/sender-info/:delivery_id
-app.get("/deliveries/receiver-detail/:delivery_id", async (req, res) => {
+app.get("/deliveries/receiver-detail/:delivery_id", validate({ params: { delivery_id: v.id() } }), async (req, res) => {
   try {
     const deliveryId = String(req.params.delivery_id);
 
     // 1) อ่าน delivery
     const dSnap = await db.collection("delivery").doc(deliveryId).get();
-    if (!dSnap.exists) return res.status(404).json({ error: "delivery not found" });
+    if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
     const d = dSnap.data() || {};
+    if (!(await isDeliveryParticipant(d, req.auth.user_id))) {
+      throw new ForbiddenError("NOT_A_PARTICIPANT", "not a participant of this delivery");
+    }
 
     const user_id_sender     = Number(d.user_id_sender);
     const address_id_sender  = Number(d.address_id_sender);
@@ -1388,15 +3791,51 @@ app.get("/deliveries/receiver-detail/:delivery_id", async (req, res) => {
     const aSnap = await db.collection("user_address").doc(String(address_id_sender)).get();
     const a = aSnap.exists ? (aSnap.data() || {}) : {};
 
-    // 4) รวมผลลัพธ์ (เพิ่มข้อมูลสินค้า)
+    // 4) ไรเดอร์ที่ถืองานอยู่ + ระยะ/ETA (null ถ้ายังไม่มีคนรับ หรืองานจบแล้ว)
+    let rider_progress = null;
+    const activeSnap = await db.collection(ASSIGN_COL)
+      .where("delivery_id", "==", Number(deliveryId))
+      .where("status", "in", ACTIVE_STATUSES)
+      .limit(1)
+      .get();
+    if (!activeSnap.empty) {
+      const assignment = activeSnap.docs[0].data();
+      const locSnap = await db.collection(RIDER_LOC_COL).doc(String(assignment.rider_id)).get();
+      const loc = locSnap.exists ? locSnap.data() : {};
+      const rider_lat = loc.lat == null ? null : Number(loc.lat);
+      const rider_lng = loc.lng == null ? null : Number(loc.lng);
+      const ratings = await riderRatings([assignment.rider_id]);
+      rider_progress = {
+        rider_id: Number(assignment.rider_id),
+        status: assignment.status,
+        rider_lat,
+        rider_lng,
+        rider_rating: ratings.get(Number(assignment.rider_id)) ?? null,
+        ...(await computeRiderProgress({ assignment, delivery: d, rider_lat, rider_lng })),
+      };
+    }
+
+    // 5) PIN ยืนยันการรับของ — แสดงเฉพาะเมื่อผู้เรียกเป็นผู้รับ
+    const pins = await receiverPins([d], req.auth.user_id);
+
+    // 6) คะแนนที่ผู้เรียกให้ไรเดอร์งานนี้แล้ว (null = ยังไม่ให้ — แอปใช้ตัดสินว่าจะถามคะแนนไหม)
+    const mySnap = await db.collection(RATING_COL).doc(`${Number(deliveryId)}-${req.auth.user_id}`).get();
+    const my_rating = mySnap.exists
+      ? { rating: mySnap.data().rating, comment: mySnap.data().comment ?? null }
+      : null;
+
+    // 7) รวมผลลัพธ์ (เพิ่มข้อมูลสินค้า)
     return res.json({
       delivery_id: Number(deliveryId),
+      delivery_pin: pins.get(Number(d.delivery_id)) ?? null,
+      my_rating,
 
       // ---- สินค้า (ดึงจาก delivery เอง) ----
       product: {
         name_product: d.name_product ?? null,
         detail_product: d.detail_product ?? null,
         amount: d.amount ?? null,
+        cod_amount: d.cod_amount ?? 0,                // เงินที่ผู้รับต้องจ่ายไรเดอร์
         picture_product: d.picture_product ?? null,   // base64/URL ตามที่เก็บ
         status: d.status ?? null                      // เผื่อใช้แสดงสถานะ
       },
@@ -1414,47 +3853,33 @@ app.get("/deliveries/receiver-detail/:delivery_id", async (req, res) => {
         address: a.address ?? null,
         lat: a.lat ?? null,
         lng: a.lng ?? null
-      }
+      },
+
+      // ---- ไรเดอร์ + ระยะ/ETA ----
+      rider_progress,
     });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   }
 });
 
-// GET /sender/history/:userId
-// ดึงประวัติการส่งของผู้ส่ง (user_id == user_id_sender) ที่ status = "finish"
+// GET /sender/history/:userId?limit=20&cursor=...
+// ดึงประวัติการส่งของผู้ส่ง (user_id == user_id_sender) ที่ status = "finish" (ใหม่สุดก่อน)
 // พร้อมแนบ picture_status2/3 จาก delivery_assignment (เอกสาร assi_id ล่าสุดของ delivery นั้น)
-app.get("/sender/history/:userId", async (req, res) => {
+app.get("/sender/history/:userId", validate({ params: { userId: v.id() }, query: pageQuery }), async (req, res) => {
   try {
-    const userIdStr = String(req.params.userId || "");
-    if (!userIdStr.trim()) return res.status(400).json({ error: "userId is required" });
-    const userIdNum = Number(userIdStr);
+    const userIdNum = resolveActor(req, req.params.userId, "userId");
+    const page = parsePageParams(req.query);
 
-    // 1) ดึงรายการ delivery ของผู้ส่งคนนี้ที่ finish
-    let snap;
-    let filteredInMemory = false;
-    try {
-      // เร็วที่สุด (ต้องมี composite index: user_id_sender ==, status ==)
-      snap = await db.collection(DELIVERY_COL)
+    // 1) ดึงรายการ delivery ของผู้ส่งคนนี้ที่ finish ทีละหน้า (ไม่มี index → paginateQuery เรียงในโค้ดให้)
+    const { docs, next_cursor } = await paginateQuery(
+      db.collection(DELIVERY_COL)
         .where("user_id_sender", "==", userIdNum)
-        .where("status", "==", "finish")
-        .get();
-    } catch (err) {
-      // ถ้าไม่มี index ให้ fallback แล้วกรองในโค้ด
-      if (String(err.message || "").includes("FAILED_PRECONDITION")) {
-        filteredInMemory = true;
-        snap = await db.collection(DELIVERY_COL)
-          .where("user_id_sender", "==", userIdNum)
-          .get();
-      } else {
-        throw err;
-      }
-    }
+        .where("status", "==", "finish"),
+      page
+    );
 
-    let deliveries = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    if (filteredInMemory) {
-      deliveries = deliveries.filter(d => String(d.status || "").toLowerCase() === "finish");
-    }
+    const deliveries = docs.map(d => ({ id: d.id, ...d.data() }));
 
     // 2) สำหรับแต่ละ delivery ไปหา assignment ล่าสุด (assi_id มากสุด) เพื่อดึงรูป
     const items = await Promise.all(
@@ -1480,6 +3905,8 @@ app.get("/sender/history/:userId", async (req, res) => {
           delivery_id: delivIdNum,
           status: d.status || null,
           amount: d.amount ?? null,
+          price: d.price ?? null,
+          cod_amount: d.cod_amount ?? 0,
           address_id_sender: d.address_id_sender ?? null,
           address_id_receiver: d.address_id_receiver ?? null,
           user_id_sender: d.user_id_sender ?? null,
@@ -1496,26 +3923,992 @@ app.get("/sender/history/:userId", async (req, res) => {
       })
     );
 
-    // 3) เรียงล่าสุดก่อน (updatedAt จาก delivery → สำรองด้วย assi_id)
-    items.sort((a, b) => {
-      const ta = a.updatedAt?.toMillis ? a.updatedAt.toMillis() : Number(a.assi_id || 0);
-      const tb = b.updatedAt?.toMillis ? b.updatedAt.toMillis() : Number(b.assi_id || 0);
-      return tb - ta;
-    });
-
+    // Promise.all คงลำดับเดิม → items เรียงล่าสุดก่อนตาม paginateQuery อยู่แล้ว
     return res.json({
       user_id_sender: userIdNum,
       count: items.length,
       items,
+      next_cursor,
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* GET /sender/spending/:userId?period=day|week&from=&to=   (ดู Ledger summaries)
+-> { user_id_sender, period, from, to, currency,
+     totals: { deliveries, delivery_fee, cod_receivable },
+     items: [{ period_start, deliveries, delivery_fee, cod_receivable }] }
+- delivery_fee   = ค่าส่งที่จ่ายไป (นับตอนงาน finish)
+- cod_receivable = เงินปลายทางที่ไรเดอร์เก็บแทนผู้ส่ง
+*/
+app.get("/sender/spending/:userId", validate({ params: { userId: v.id() }, query: summaryQuery }), async (req, res) => {
+  try {
+    const userIdNum = resolveActor(req, req.params.userId, "userId");
+
+    const summary = await ledgerSummary({
+      user_id: userIdNum,
+      account: "sender",
+      kinds: [ENTRY_KIND.DELIVERY_FEE, ENTRY_KIND.COD_RECEIVABLE],
+      query: req.query,
     });
+    return res.json({ user_id_sender: userIdNum, ...summary });
   } catch (e) {
-    console.error(e);
-    return res.status(500).json({ error: e.message });
+    return sendError(res, e);
   }
 });
 
+/* =================================== Webhooks ===================================
+   ร้านค้า (ผู้ส่ง) ลงทะเบียน URL รับ event ของ delivery ที่ตัวเองเป็นผู้ส่ง
+   รูปแบบ request / ลายเซ็น / backoff ดู lib/webhooks.js
+
+   webhook_event = event หนึ่งตัวต่อ webhook หนึ่งตัว พร้อมประวัติการส่ง (attempts)
+     status: pending → succeeded
+                     → retrying → ... → dead   (dead-letter: ดู/replay ได้)
+   retry ทำโดย worker ในโปรเซสทุก WEBHOOK_POLL_MS (ปิดได้ด้วย WEBHOOK_WORKER=off)
+     แต่ละรอบอ่านเฉพาะ event ที่ next_attempt_at ถึงแล้ว เก่าสุดก่อน ไม่เกิน WEBHOOK_RETRY_BATCH ตัว
+     (succeeded / dead มี next_attempt_at = null → ไม่ถูกอ่าน)
+   ก่อนส่งแต่ละครั้ง "จอง" event ด้วย transaction (เลื่อน next_attempt_at) กันส่งซ้ำซ้อน
+
+POST   /webhooks          body: { url, events: ["delivery.accept", ...], secret? }
+       -> 201 { webhook: { webhook_id, url, events, active, secret } }   (secret แสดงครั้งเดียว)
+       url ต้อง resolve ไปที่ address สาธารณะ + port ที่อนุญาต ไม่งั้น 400 (ดู lib/webhooks.js)
+GET    /webhooks          -> { count, items }   (ของผู้เรียก, ไม่มี secret)
+DELETE /webhooks/:id      -> { ok: true }       (หยุดส่ง — event ที่ค้างอยู่กลายเป็น dead)
+GET    /webhooks/:id/events?status=pending|retrying|succeeded|dead&limit=20&cursor=...
+       -> { webhook_id, count, items: [{ event_id, event, delivery_id, status, attempt_count,
+            attempts: [{ at, status_code, error, duration_ms, replay }], next_attempt_at, ... }], next_cursor }
+POST   /webhooks/events/:event_id/replay   (เฉพาะ retrying / dead) -> { event } หลังส่งใหม่ทันทีหนึ่งครั้ง
+================================================================================ */
+const WEBHOOK_POLL_MS = Number(process.env.WEBHOOK_POLL_MS || 15_000);
+const WEBHOOK_RETRY_BATCH = Number(process.env.WEBHOOK_RETRY_BATCH || 50);   // event ที่ส่งซ้ำได้ต่อรอบของ worker
+const WEBHOOK_MAX_PER_USER = 10;
+const WEBHOOK_ATTEMPT_LOG = 20;                       // เก็บประวัติการส่งล่าสุดกี่ครั้งต่อ event
+const WEBHOOK_EVENT_STATUSES = ["pending", "retrying", "succeeded", "dead"];
+const WEBHOOK_URL_PATTERN = process.env.WEBHOOK_ALLOW_HTTP === "1" ? /^https?:\/\/\S+$/i : /^https:\/\/\S+$/i;
+
+const toISOString = (ts) => (ts && typeof ts.toDate === "function" ? ts.toDate().toISOString() : null);
+
+function webhookView(w, { withSecret = false } = {}) {
+  return {
+    webhook_id: w.webhook_id,
+    url: w.url,
+    events: w.events,
+    active: Boolean(w.active),
+    ...(withSecret ? { secret: w.secret } : {}),
+    createdAt: w.createdAt ?? null,
+  };
+}
+
+function webhookEventView(e) {
+  return {
+    event_id: e.event_id,
+    webhook_id: e.webhook_id,
+    event: e.event,
+    delivery_id: e.delivery_id,
+    status: e.status,
+    attempt_count: e.attempt_count ?? 0,
+    attempts: e.attempts ?? [],
+    next_attempt_at: e.status === "retrying" ? toISOString(e.next_attempt_at) : null,
+    payload: e.payload,
+    createdAt: e.createdAt ?? null,
+    updatedAt: e.updatedAt ?? null,
+  };
+}
+
+/** ข้อมูล delivery ที่ส่งออกไปใน payload (ไม่มีที่อยู่ละเอียด / PIN) */
+function webhookDeliveryData(delivery_id, d) {
+  return {
+    delivery_id: Number(delivery_id),
+    status: d.status ?? null,
+    user_id_sender: d.user_id_sender ?? null,
+    user_id_receiver: d.user_id_receiver ?? null,
+    name_product: d.name_product ?? null,
+    amount: d.amount ?? null,
+    price: d.price ?? null,
+    cod_amount: d.cod_amount ?? 0,
+  };
+}
+
+/** สร้าง webhook_event ให้ทุก webhook ที่สมัคร event นี้ แล้วส่งครั้งแรกทันที */
+async function queueWebhookEvents(delivery_id, from, to, actor) {
+  const event = `delivery.${to}`;
+  if (!WEBHOOK_EVENTS.includes(event)) return;
+
+  const dSnap = await db.collection(DELIVERY_COL).doc(String(delivery_id)).get();
+  if (!dSnap.exists) return;
+  const d = dSnap.data();
+
+  const hooks = await db.collection(WEBHOOK_COL).where("owner_id", "==", Number(d.user_id_sender)).get();
+  const targets = hooks.docs.filter(h => h.data().active && (h.data().events || []).includes(event));
+  if (!targets.length) return;
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const batch = db.batch();
+  const refs = targets.map(h => {
+    const ref = db.collection(WEBHOOK_EVENT_COL).doc();
+    batch.set(ref, {
+      event_id: ref.id,
+      webhook_id: h.data().webhook_id,
+      owner_id: Number(d.user_id_sender),
+      event,
+      delivery_id: Number(delivery_id),
+      payload: {
+        id: ref.id,
+        event,
+        created_at: new Date().toISOString(),
+        data: {
+          from: from ?? null,
+          to,
+          actor_kind: actor?.kind ?? null,
+          delivery: webhookDeliveryData(delivery_id, d),
+        },
+      },
+      status: "pending",
+      attempt_count: 0,
+      attempts: [],
+      next_attempt_at: admin.firestore.Timestamp.now(),
+      createdAt: now,
+      updatedAt: now,
+    });
+    return ref;
+  });
+  await batch.commit();
+
+  await Promise.all(refs.map(ref => attemptWebhookEvent(ref)));
+}
+
+/**
+ * ส่ง webhook_event หนึ่งครั้งแล้วบันทึกผล
+ * replay = ส่งทันทีไม่สนกำหนดเวลา; replay ของ dead ที่ล้มอีกยังคงเป็น dead (ไม่เริ่มนับ retry ใหม่)
+ * @returns {Promise<object|null>} event หลังบันทึกผล หรือ null ถ้าไม่ได้ส่ง (ยังไม่ถึงเวลา / มีคนอื่นจองแล้ว)
+ */
+async function attemptWebhookEvent(ref, { replay = false } = {}) {
+  const claimed = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    if (!snap.exists) return null;
+    const e = snap.data();
+    const open = e.status === "pending" || e.status === "retrying";
+    const due = open && e.next_attempt_at && e.next_attempt_at.toMillis() <= Date.now();
+    if (!(replay || due)) return null;
+
+    const wSnap = await tx.get(db.collection(WEBHOOK_COL).doc(String(e.webhook_id)));
+    tx.update(ref, {
+      next_attempt_at: admin.firestore.Timestamp.fromMillis(Date.now() + WEBHOOK_TIMEOUT_MS * 3),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { e, hook: wSnap.exists ? wSnap.data() : null };
+  });
+  if (!claimed) return null;
+  const { e, hook } = claimed;
+
+  const result = hook?.active
+    ? await sendWebhook({ url: hook.url, secret: hook.secret, event_id: e.event_id, event: e.event, payload: e.payload })
+    : { ok: false, status_code: null, error: "webhook deleted", duration_ms: 0 };
+
+  const attempt_count = Number(e.attempt_count || 0) + 1;
+  const attempts = [...(e.attempts || []), { at: new Date().toISOString(), ...result, replay }].slice(-WEBHOOK_ATTEMPT_LOG);
+
+  let status = "succeeded";
+  let next_attempt_at = null;
+  if (!result.ok) {
+    const delay = hook?.active && !(replay && e.status === "dead") ? retryDelayMs(attempt_count) : null;
+    status = delay == null ? "dead" : "retrying";
+    next_attempt_at = delay == null ? null : admin.firestore.Timestamp.fromMillis(Date.now() + delay);
+  }
+
+  const update = { status, attempt_count, attempts, next_attempt_at, updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  await ref.update(update);
+  return { ...e, ...update, next_attempt_at };
+}
+
+/** worker: ส่งซ้ำ event ที่ถึงเวลา retry (รวม pending ที่ค้างเพราะโปรเซสตายก่อนส่งครั้งแรก) */
+async function retryDueWebhookEvents() {
+  const snap = await db.collection(WEBHOOK_EVENT_COL)
+    .where("next_attempt_at", "<=", admin.firestore.Timestamp.now())
+    .orderBy("next_attempt_at")
+    .limit(WEBHOOK_RETRY_BATCH)
+    .get();
+  const due = snap.docs.filter(doc => ["pending", "retrying"].includes(doc.data().status));
+  for (const doc of due) await attemptWebhookEvent(doc.ref);
+}
+
+if (process.env.WEBHOOK_WORKER !== "off") {
+  let running = false;
+  setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await retryDueWebhookEvents();
+    } catch (err) {
+      console.error("webhook retry failed:", err);
+    } finally {
+      running = false;
+    }
+  }, WEBHOOK_POLL_MS).unref();
+}
+
+/** webhook ของผู้เรียก (ยังไม่ถูกลบ) ไม่งั้น 404 / 403 */
+async function getOwnWebhook(req, webhookId) {
+  const ref = db.collection(WEBHOOK_COL).doc(String(webhookId));
+  const snap = await ref.get();
+  if (!snap.exists || snap.data().deleted) throw new NotFoundError("WEBHOOK_NOT_FOUND", "webhook not found");
+  if (Number(snap.data().owner_id) !== req.auth.user_id) {
+    throw new ForbiddenError("WEBHOOK_NOT_OWNED", "webhook belongs to another user");
+  }
+  return { ref, hook: snap.data() };
+}
+
+app.post("/webhooks", validate({
+  body: {
+    url: v.string({ max: 2048, pattern: WEBHOOK_URL_PATTERN }),
+    events: v.array(v.string({ enum: WEBHOOK_EVENTS }), { min: 1, max: WEBHOOK_EVENTS.length }),
+    secret: v.string({ optional: true, min: 16, max: 256 }),
+  },
+}), async (req, res) => {
+  try {
+    const uid = req.auth.user_id;
+    const { url, events } = req.body;
+
+    const blocked = await checkWebhookTarget(url);
+    if (blocked) throw new ValidationError([{ field: "body.url", message: blocked }]);
+
+    const mine = await db.collection(WEBHOOK_COL).where("owner_id", "==", uid).get();
+    const live = mine.docs.filter(w => !w.data().deleted);
+    if (live.length >= WEBHOOK_MAX_PER_USER) {
+      throw new ConflictError("WEBHOOK_LIMIT", `at most ${WEBHOOK_MAX_PER_USER} webhooks per user`, { max: WEBHOOK_MAX_PER_USER });
+    }
+
+    const webhookIdNum = await nextId("webhook_seq");
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const hook = {
+      webhook_id: webhookIdNum,
+      owner_id: uid,
+      url,
+      events: [...new Set(events)],
+      secret: req.body.secret ?? generateSecret(),
+      active: true,
+      deleted: false,
+    };
+    await db.collection(WEBHOOK_COL).doc(String(webhookIdNum)).set({ ...hook, createdAt: now, updatedAt: now });
+
+    return res.status(201).json({ webhook: webhookView(hook, { withSecret: true }) });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+app.get("/webhooks", async (req, res) => {
+  try {
+    const snap = await db.collection(WEBHOOK_COL).where("owner_id", "==", req.auth.user_id).get();
+    const items = snap.docs
+      .map(w => w.data())
+      .filter(w => !w.deleted)
+      .sort((a, b) => a.webhook_id - b.webhook_id)
+      .map(w => webhookView(w));
+    return res.json({ count: items.length, items });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+app.delete("/webhooks/:id", validate({ params: { id: v.id() } }), async (req, res) => {
+  try {
+    const { ref } = await getOwnWebhook(req, req.params.id);
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    await ref.update({ active: false, deleted: true, deletedAt: now, updatedAt: now });
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+app.get("/webhooks/:id/events", validate({
+  params: { id: v.id() },
+  query: { status: v.string({ optional: true, enum: WEBHOOK_EVENT_STATUSES }), ...pageQuery },
+}), async (req, res) => {
+  try {
+    const webhookId = req.params.id;
+    await getOwnWebhook(req, webhookId);
+    const page = parsePageParams(req.query);
+
+    let q = db.collection(WEBHOOK_EVENT_COL).where("webhook_id", "==", webhookId);
+    if (req.query.status) q = q.where("status", "==", req.query.status);
+    const { docs, next_cursor } = await paginateQuery(q, page);
+
+    const items = docs.map(doc => webhookEventView(doc.data()));
+    return res.json({ webhook_id: webhookId, count: items.length, items, next_cursor });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+app.post("/webhooks/events/:event_id/replay", validate({
+  params: { event_id: v.string({ min: 1, max: 128 }) },
+}), async (req, res) => {
+  try {
+    const ref = db.collection(WEBHOOK_EVENT_COL).doc(req.params.event_id);
+    const snap = await ref.get();
+    if (!snap.exists) throw new NotFoundError("WEBHOOK_EVENT_NOT_FOUND", "webhook event not found");
+    const e = snap.data();
+    if (Number(e.owner_id) !== req.auth.user_id) {
+      throw new ForbiddenError("WEBHOOK_NOT_OWNED", "webhook belongs to another user");
+    }
+    await getOwnWebhook(req, e.webhook_id);
+    if (e.status !== "retrying" && e.status !== "dead") {
+      throw new ConflictError("WEBHOOK_EVENT_NOT_FAILED", "only retrying or dead events can be replayed", { status: e.status });
+    }
+
+    const after = await attemptWebhookEvent(ref, { replay: true });
+    return res.json({ event: webhookEventView(after) });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ==================================== Admin ====================================
+   ทุกเส้นใต้ /admin ต้องเป็น role = ROLE_ADMIN
+   การกระทำที่เปลี่ยนข้อมูลจะถูกบันทึกลง admin_log (ใคร ทำอะไร กับอะไร เพราะอะไร)
+=============================================================================== */
+const adminRouter = express.Router();
+adminRouter.use(requireRole(ROLE_ADMIN));
+app.use("/admin", adminRouter);
+
+function adminLogEntry(req, { action, target_type, target_id, from = null, to = null, reason = null }) {
+  return {
+    action,
+    target_type,
+    target_id: Number(target_id),
+    from,
+    to,
+    reason,
+    admin_id: req.auth.user_id,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+}
+
+/* ----------------------------- List / filter users -----------------------------
+GET /admin/users?role=0|1|2&suspended=1|0&phone=08...&limit=20&cursor=...
+--------------------------------------------------------------------------------- */
+const ROLE_VALUES = [ROLE_USER, ROLE_RIDER, ROLE_ADMIN];
+
+adminRouter.get("/users", validate({
+  query: {
+    role: v.oneOf(ROLE_VALUES, { optional: true }),
+    suspended: v.boolean({ optional: true }),
+    phone: v.string({ optional: true, max: 20 }),
+    ...pageQuery,
+  },
+}), async (req, res) => {
+  try {
+    const { role, suspended, phone } = req.query;
+    const page = parsePageParams(req.query);
+
+    let q = db.collection(USER_COL);
+    if (role != null) q = q.where("role", "==", role);
+    if (phone) q = q.where("phone", "==", phone);
+
+    // suspended ไม่มีในเอกสารเก่า → กรองในโค้ด
+    let filter = null;
+    if (suspended === true) filter = d => d.get("suspended") === true;
+    if (suspended === false) filter = d => !d.get("suspended");
+
+    const { docs, next_cursor } = await paginateQuery(q, { ...page, filter });
+    const users = docs.map(d => ({ id: d.id, ...publicUser(d.data()) }));
+
+    return res.json({ count: users.length, users, next_cursor });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ------------------------------ Riders + rider_car ------------------------------
+GET /admin/riders?limit=20&cursor=...
+- แบ่งหน้าที่ user (role = rider) แล้วค่อยดึง rider_car เฉพาะคนในหน้านั้น
+--------------------------------------------------------------------------------- */
+adminRouter.get("/riders", validate({ query: pageQuery }), async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    const { docs, next_cursor } = await paginateQuery(
+      db.collection(USER_COL).where("role", "==", ROLE_RIDER),
+      page
+    );
+
+    // 'in' รับได้ทีละ 30 ค่า
+    const riderIds = docs.map(d => Number(d.id));
+    const carsByUser = new Map();
+    for (let i = 0; i < riderIds.length; i += 30) {
+      const cSnap = await db.collection(RIDER_COL).where("user_id", "in", riderIds.slice(i, i + 30)).get();
+      cSnap.forEach(d => {
+        const key = String(d.data().user_id);
+        if (!carsByUser.has(key)) carsByUser.set(key, []);
+        carsByUser.get(key).push(d);
+      });
+    }
+
+    const riders = docs.map(d => ({
+      id: d.id,
+      ...publicUser(d.data()),
+      rider_cars: riderVehiclesOf(carsByUser.get(d.id) || []),
+    }));
+
+    return res.json({ count: riders.length, riders, next_cursor });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ---------------------------- List / filter deliveries ----------------------------
+GET /admin/deliveries?status=&user_id_sender=&user_id_receiver=&rider_id=&limit=20&cursor=...
+- rider_id กรองผ่าน delivery_assignment (งานที่ไรเดอร์คนนั้นเคยถือ)
+--------------------------------------------------------------------------------- */
+adminRouter.get("/deliveries", validate({
+  query: {
+    status: v.string({ optional: true, enum: ALL_STATUSES }),
+    user_id_sender: v.id({ optional: true }),
+    user_id_receiver: v.id({ optional: true }),
+    rider_id: v.id({ optional: true }),
+    ...pageQuery,
+  },
+}), async (req, res) => {
+  try {
+    const { status, user_id_sender, user_id_receiver, rider_id } = req.query;
+    const page = parsePageParams(req.query);
+
+    let q = db.collection(DELIVERY_COL);
+    if (status) q = q.where("status", "==", status);
+    if (user_id_sender) q = q.where("user_id_sender", "==", user_id_sender);
+    if (user_id_receiver) q = q.where("user_id_receiver", "==", user_id_receiver);
+
+    let filter = null;
+    if (rider_id) {
+      const aSnap = await db.collection(ASSIGN_COL).where("rider_id", "==", rider_id).get();
+      const ids = new Set(aSnap.docs.map(d => Number(d.data().delivery_id)));
+      filter = d => ids.has(Number(d.get("delivery_id")));
+    }
+
+    const { docs, next_cursor } = await paginateQuery(q, { ...page, filter });
+    const deliveries = docs.map(d => ({ id: d.id, ...d.data() }));
+    return res.json({ count: deliveries.length, deliveries, next_cursor });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ------------------------------- Suspend / unsuspend -------------------------------
+POST /admin/users/:id/suspend     body: { reason }
+POST /admin/users/:id/unsuspend   body: { reason? }
+- ผู้ใช้ที่ถูกระงับจะ login / refresh token ไม่ได้
+--------------------------------------------------------------------------------- */
+async function setSuspended(req, res, suspended) {
+  try {
+    const userId = String(req.params.id);
+    const reason = req.body.reason ?? null;
+    if (Number(userId) === req.auth.user_id) {
+      throw new BadRequestError("CANNOT_SUSPEND_SELF", "cannot change suspension of your own account");
+    }
+
+    const ref = db.collection(USER_COL).doc(userId);
+    const snap = await ref.get();
+    if (!snap.exists) throw new NotFoundError("USER_NOT_FOUND", "user not found");
+
+    const batch = db.batch();
+    batch.update(ref, {
+      suspended,
+      suspended_reason: suspended ? reason : null,
+      suspendedAt: suspended ? admin.firestore.FieldValue.serverTimestamp() : null,
+    });
+    batch.set(db.collection(ADMIN_LOG_COL).doc(), adminLogEntry(req, {
+      action: suspended ? "user.suspend" : "user.unsuspend",
+      target_type: "user",
+      target_id: userId,
+      from: Boolean(snap.data().suspended),
+      to: suspended,
+      reason,
+    }));
+    await batch.commit();
+
+    return res.json({ ok: true, user_id: Number(userId), suspended });
+  } catch (e) {
+    return sendError(res, e);
+  }
+}
+adminRouter.post("/users/:id/suspend", validate({
+  params: { id: v.id() },
+  body: { reason: v.string({ min: 1, max: 500 }) },
+}), (req, res) => setSuspended(req, res, true));
+adminRouter.post("/users/:id/unsuspend", validate({
+  params: { id: v.id() },
+  body: { reason: v.string({ optional: true, max: 500 }) },
+}), (req, res) => setSuspended(req, res, false));
+
+/* ----------------------------------- Change role -----------------------------------
+PATCH /admin/users/:id/role   body: { role: 0|1|2, reason? }
+--------------------------------------------------------------------------------- */
+adminRouter.patch("/users/:id/role", validate({
+  params: { id: v.id() },
+  body: { role: v.oneOf(ROLE_VALUES), reason: v.string({ optional: true, max: 500 }) },
+}), async (req, res) => {
+  try {
+    const userId = String(req.params.id);
+    const { role } = req.body;
+
+    const ref = db.collection(USER_COL).doc(userId);
+    const snap = await ref.get();
+    if (!snap.exists) throw new NotFoundError("USER_NOT_FOUND", "user not found");
+
+    const batch = db.batch();
+    batch.update(ref, { role });
+    batch.set(db.collection(ADMIN_LOG_COL).doc(), adminLogEntry(req, {
+      action: "user.role",
+      target_type: "user",
+      target_id: userId,
+      from: snap.data().role ?? null,
+      to: role,
+      reason: req.body.reason ?? null,
+    }));
+    await batch.commit();
+
+    return res.json({ ok: true, user_id: Number(userId), role });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ------------------------------ Backfill geohash ------------------------------
+POST /admin/addresses/backfill-geohash
+- user_address ที่สร้างก่อนมี geohash — งานใหม่จากที่อยู่พวกนี้จะไม่มี pickup_geohash จนกว่าจะรันเส้นนี้
+--------------------------------------------------------------------------------- */
+adminRouter.post("/addresses/backfill-geohash", async (_req, res) => {
+  try {
+    const snap = await db.collection(ADDR_COL).get();
+    let updated = 0;
+    let batch = db.batch();
+    let pending = 0;
+
+    for (const d of snap.docs) {
+      const a = d.data();
+      if (a.geohash || !isValidLatLng(a.lat, a.lng)) continue;
+      batch.update(d.ref, { geohash: encodeGeohash(Number(a.lat), Number(a.lng)) });
+      updated++;
+      if (++pending === 400) {   // batch จำกัด 500 writes
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    }
+    if (pending) await batch.commit();
+
+    return res.json({ ok: true, scanned: snap.size, updated });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* --------------------------- Backfill pickup ของงาน ---------------------------
+POST /admin/deliveries/backfill-pickup
+- งาน waiting ที่สร้างก่อนมี pickup_lat/lng/geohash จะไม่ขึ้นใน /deliveries/waiting?lat&lng
+  เส้นนี้คัดลอกพิกัดจากที่อยู่ผู้ส่งให้ (ที่อยู่ไม่มีพิกัด → ข้าม)
+--------------------------------------------------------------------------------- */
+adminRouter.post("/deliveries/backfill-pickup", async (_req, res) => {
+  try {
+    const snap = await db.collection(DELIVERY_COL).where("status", "==", STATUS.WAITING).get();
+    const missing = snap.docs.filter(d => !d.data().pickup_geohash);
+    let updated = 0;
+
+    for (let i = 0; i < missing.length; i += 400) {   // batch จำกัด 500 writes
+      const chunk = missing.slice(i, i + 400);
+      const addrSnaps = await db.getAll(...chunk.map(d => db.collection(ADDR_COL).doc(String(d.data().address_id_sender))));
+      const batch = db.batch();
+      chunk.forEach((d, idx) => {
+        const pickup = addrSnaps[idx].exists ? pickupOf(addrSnaps[idx].data()) : null;
+        if (!pickup?.pickup_geohash) return;
+        batch.update(d.ref, pickup);
+        updated++;
+      });
+      await batch.commit();
+    }
+
+    return res.json({ ok: true, scanned: snap.size, updated });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ----------------------------- Backfill updatedAt -----------------------------
+POST /admin/backfill-updated-at
+- list endpoint เรียงด้วย updatedAt → เอกสารเก่าที่ไม่มี updatedAt ไม่ขึ้นใน list (โหมด index, ดู lib/pagination.js)
+  เส้นนี้เติม updatedAt = createdAt (หรือเวลาปัจจุบันถ้าไม่มี createdAt) ให้ user / delivery / delivery_assignment
+--------------------------------------------------------------------------------- */
+adminRouter.post("/backfill-updated-at", async (_req, res) => {
+  try {
+    const result = {};
+    for (const col of [USER_COL, DELIVERY_COL, ASSIGN_COL]) {
+      const snap = await db.collection(col).get();
+      let updated = 0;
+      let batch = db.batch();
+      let pending = 0;
+
+      for (const d of snap.docs) {
+        const x = d.data();
+        if (x.updatedAt) continue;
+        batch.update(d.ref, { updatedAt: x.createdAt ?? admin.firestore.FieldValue.serverTimestamp() });
+        updated++;
+        if (++pending === 400) {   // batch จำกัด 500 writes
+          await batch.commit();
+          batch = db.batch();
+          pending = 0;
+        }
+      }
+      if (pending) await batch.commit();
+      result[col] = { scanned: snap.size, updated };
+    }
+
+    return res.json({ ok: true, ...result });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/**
+ * ตรวจใน transaction ว่าไรเดอร์ riderId รับงาน delivery นี้ได้ (admin reassign) — อ่านอย่างเดียว
+ * งานค้างของ delivery นี้เองไม่นับ (ถูก release ใน transaction เดียวกัน)
+ * @returns {Promise<object>} vehicle snapshot ของรถคันที่ active
+ */
+async function assertRiderCanTake(tx, riderId, d) {
+  const rSnap = await tx.get(db.collection(USER_COL).doc(String(riderId)));
+  const r = rSnap.exists ? rSnap.data() : null;
+  if (!r || r.deleted || Number(r.role) !== ROLE_RIDER) {
+    throw new BadRequestError("NOT_A_RIDER", "rider_id is not a rider", { rider_id: Number(riderId) });
+  }
+  if (r.suspended) {
+    throw new ConflictError("ACCOUNT_SUSPENDED", "rider account is suspended", {
+      rider_id: Number(riderId),
+      reason: r.suspended_reason ?? null,
+    });
+  }
+
+  const activeSnap = await tx.get(db.collection(ASSIGN_COL)
+    .where("rider_id", "==", Number(riderId))
+    .where("status", "in", ACTIVE_STATUSES));
+  const others = activeSnap.docs.filter(a => Number(a.data().delivery_id) !== Number(d.delivery_id));
+  if (others.length >= RIDER_MAX_ACTIVE_JOBS) {
+    throw new ConflictError(
+      "RIDER_ACTIVE_JOB_LIMIT",
+      `Rider already has ${others.length} active job(s) (max ${RIDER_MAX_ACTIVE_JOBS})`,
+      {
+        max_active_jobs: RIDER_MAX_ACTIVE_JOBS,
+        active_assignments: others.map(a => a.data().assi_id ?? Number(a.id)),
+      }
+    );
+  }
+
+  const car = riderVehiclesOf((await tx.get(riderVehiclesQuery(riderId))).docs)[0];
+  if (!car) throw new ConflictError("NO_ACTIVE_VEHICLE", "rider has no active vehicle");
+  const fit = canCarry(car.car_type, d);
+  if (!fit.ok) {
+    throw new ConflictError("VEHICLE_CANNOT_CARRY", `${car.car_type} cannot carry this parcel (${fit.reason})`, {
+      reason: fit.reason,
+      car_type: car.car_type,
+      capacity: vehicleCapacity(car.car_type),
+      weight_kg: d.weight_kg ?? null,
+      size_class: d.size_class ?? null,
+    });
+  }
+  return vehicleSnapshot(car);
+}
+
+/* ------------------------------ Force delivery status ------------------------------
+POST /admin/deliveries/:id/status
+body: { status: "waiting"|"accept"|"transporting"|"finish"|"cancelled", reason: string, rider_id?: number }
+- เปลี่ยนสถานะ delivery ตรง ๆ (เช่นงานค้าง) พร้อมเหตุผล
+- status = "waiting" → assignment ที่ยังทำงานอยู่ถูก release เพื่อให้ไรเดอร์คนอื่นรับได้
+- status = "cancelled" → release assignment ที่ยังทำงานอยู่ด้วย
+- status = "accept" ต้องมี rider_id → reassign: release assignment เดิม แล้วสร้างใหม่ให้ rider_id
+  (ไม่มี rider_id → 400 — งาน accept ต้องมีไรเดอร์ถือเสมอ)
+  ไรเดอร์ปลายทางตรวจเหมือน /deliveries/accept: ไม่ถูกระงับ, จำนวนงานค้าง, รถที่ active รับพัสดุนี้ได้
+  (error code เดียวกัน) และเก็บ vehicle snapshot ลง assignment ใหม่
+- สถานะอื่น → sync assignment ที่ยังทำงานอยู่ (ถ้ามี) ให้ตรงกัน
+--------------------------------------------------------------------------------- */
+adminRouter.post("/deliveries/:id/status", validate({
+  params: { id: v.id() },
+  body: {
+    status: v.string({ enum: ALL_STATUSES }),
+    reason: v.string({ min: 1, max: 500 }),
+    rider_id: v.id({ optional: true }),
+  },
+}), async (req, res) => {
+  try {
+    const deliveryId = req.params.id;
+    const { status, reason } = req.body;
+
+    const reassignTo = req.body.rider_id ?? null;
+    if (status === STATUS.ACCEPT && reassignTo == null) {
+      throw new ValidationError([{ field: "body.rider_id", message: "is required with status accept" }]);
+    }
+    if (reassignTo != null && status !== STATUS.ACCEPT) {
+      throw new ValidationError([{ field: "body.rider_id", message: "is only allowed with status accept" }]);
+    }
+
+    const deliveryRef = db.collection(DELIVERY_COL).doc(String(deliveryId));
+    const activeQ = db.collection(ASSIGN_COL).where("delivery_id", "==", deliveryId);
+    const newAssiId = reassignTo != null ? await nextId("assi_seq") : null;
+
+    let from = null;
+    let releasedAssignments = [];
+    let vehicle = null;
+
+    await db.runTransaction(async (tx) => {
+      const dSnap = await tx.get(deliveryRef);
+      if (!dSnap.exists) throw new NotFoundError("DELIVERY_NOT_FOUND", "delivery not found");
+      from = dSnap.data().status ?? null;
+      assertTransition(from, status, "admin");
+
+      const aSnap = await tx.get(activeQ);
+      const active = aSnap.docs.filter(a => ACTIVE_STATUSES.includes(a.data().status));
+
+      // reassign → ไรเดอร์ปลายทางต้องรับงานนี้ได้จริงแบบเดียวกับ /deliveries/accept
+      if (reassignTo != null) vehicle = await assertRiderCanTake(tx, reassignTo, dSnap.data());
+
+      // ย้ายออกจาก finish → void ledger ของงานนี้ (finish ใหม่จะเขียนทับกลับ)
+      const ledgerSnap = from === STATUS.FINISH && status !== STATUS.FINISH
+        ? await tx.get(db.collection(LEDGER_COL).where("delivery_id", "==", deliveryId))
+        : null;
+
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      tx.update(deliveryRef, {
+        status,
+        updatedAt: now,
+        admin_override: { admin_id: req.auth.user_id, reason: String(reason), from },
+      });
+
+      ledgerSnap?.docs.forEach(e => tx.update(e.ref, { void: true, voided_reason: String(reason), updatedAt: now }));
+      // admin ปิดงาน → ลง ledger ให้ไรเดอร์ที่ถืองานอยู่ (หรือคนที่เคย finish งานนี้ ถ้าถูกย้อนสถานะมา)
+      if (status === STATUS.FINISH) {
+        const holder = active[0] ?? aSnap.docs
+          .filter(a => a.data().status === STATUS.FINISH)
+          .sort((a, b) => Number(b.data().assi_id || 0) - Number(a.data().assi_id || 0))[0];
+        if (holder) recordLedger(tx, dSnap.data(), holder.data().rider_id);
+      }
+
+      active.forEach(a => {
+        if (status === STATUS.WAITING || status === STATUS.CANCELLED || reassignTo != null) {
+          releasedAssignments.push(a.data().assi_id ?? Number(a.id));
+          tx.update(a.ref, { status: "released", released_reason: String(reason), updatedAt: now });
+        } else {
+          tx.update(a.ref, { status, updatedAt: now });
+        }
+      });
+
+      if (reassignTo != null) {
+        tx.set(db.collection(ASSIGN_COL).doc(String(newAssiId)), {
+          assi_id: newAssiId,
+          delivery_id: deliveryId,
+          rider_id: reassignTo,
+          vehicle,
+          status: STATUS.ACCEPT,
+          picture_status2: null,
+          picture_status3: null,
+          createdAt: now,
+          updatedAt: now,
+        });
+      }
+
+      recordTransition(tx, {
+        delivery_id: deliveryId,
+        from,
+        to: status,
+        actor: { user_id: req.auth.user_id, kind: "admin" },
+        reason,
+      });
+
+      tx.set(db.collection(ADMIN_LOG_COL).doc(), adminLogEntry(req, {
+        action: "delivery.status",
+        target_type: "delivery",
+        target_id: deliveryId,
+        from,
+        to: status,
+        reason: String(reason),
+      }));
+    });
+
+    emitStatusChange(deliveryId, from, status, { user_id: req.auth.user_id, kind: "admin" });
+
+    return res.json({
+      ok: true,
+      delivery_id: deliveryId,
+      from,
+      to: status,
+      released_assignments: releasedAssignments,
+      assi_id: newAssiId,
+    });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ---------------------------------- Analytics ----------------------------------
+ทุกเส้นรับ ?from=YYYY-MM-DD&to=YYYY-MM-DD (วันที่ท้องถิ่น ตามวันที่สร้าง delivery; default 30 วันล่าสุด, ยาวสุด 366 วัน)
+ตัวเลขทั้งหมดคิดจาก delivery ที่ "สร้าง" ในช่วงนั้น (และ assignment ของงานเหล่านั้น) — วิธีคิดดู lib/analytics.js
+
+GET /admin/analytics/deliveries
+-> { from, to, totals: { total, by_status }, items: [{ date, total, by_status: { waiting, accept, ... } }] }  (ทุกวัน เก่า → ใหม่)
+GET /admin/analytics/durations
+-> { from, to, create_to_accept: { count, avg_minutes, median_minutes, p90_minutes }, accept_to_finish: {...} }
+GET /admin/analytics/riders?limit=20
+-> { from, to, count, items: [{ rider_id, name, completed, accept_to_finish: {...} }] }   (ส่งสำเร็จมากสุดก่อน)
+GET /admin/analytics/pickup-areas?precision=5&limit=10
+-> { from, to, precision, items: [{ geohash, lat, lng, deliveries }] }   (precision 5 ≈ 5×5 km, 6 ≈ 1.2×0.6 km)
+   จัดกลุ่มตาม delivery.pickup_geohash ที่เก็บตอนสร้างงาน (งานเก่าที่ไม่มีฟิลด์นี้ไม่ถูกนับ)
+--------------------------------------------------------------------------------- */
+const analyticsRange = { from: summaryQuery.from, to: summaryQuery.to };
+
+/** delivery ที่สร้างในช่วงวันที่ (ท้องถิ่น) นี้ — เวลาเป็น epoch ms */
+async function analyticsDeliveries({ from, to }) {
+  const startMs = Date.parse(`${from}T00:00:00Z`) - LOCAL_UTC_OFFSET_MIN * 60_000;
+  const endMs = Date.parse(`${addDays(to, 1)}T00:00:00Z`) - LOCAL_UTC_OFFSET_MIN * 60_000;
+
+  const snap = await db.collection(DELIVERY_COL)
+    .where("createdAt", ">=", admin.firestore.Timestamp.fromMillis(startMs))
+    .where("createdAt", "<", admin.firestore.Timestamp.fromMillis(endMs))
+    .get();
+  return snap.docs.map(doc => {
+    const d = doc.data();
+    return {
+      delivery_id: Number(d.delivery_id ?? doc.id),
+      status: d.status ?? null,
+      pickup_geohash: d.pickup_geohash ?? null,
+      createdAt: d.createdAt.toMillis(),
+    };
+  });
+}
+
+/** assignment ทั้งหมดของ delivery เหล่านี้ (query "in" ได้ทีละ 30) */
+async function analyticsAssignments(deliveries) {
+  const ids = deliveries.map(d => d.delivery_id);
+  const out = [];
+  for (let i = 0; i < ids.length; i += 30) {
+    const snap = await db.collection(ASSIGN_COL).where("delivery_id", "in", ids.slice(i, i + 30)).get();
+    for (const doc of snap.docs) {
+      const a = doc.data();
+      if (!a.createdAt || !a.updatedAt) continue;
+      out.push({
+        delivery_id: Number(a.delivery_id),
+        rider_id: Number(a.rider_id),
+        status: a.status,
+        createdAt: a.createdAt.toMillis(),
+        updatedAt: a.updatedAt.toMillis(),
+      });
+    }
+  }
+  return out;
+}
+
+adminRouter.get("/analytics/deliveries", validate({ query: analyticsRange }), async (req, res) => {
+  try {
+    const range = summaryRange(req.query);
+    const deliveries = await analyticsDeliveries(range);
+    return res.json({ ...range, ...deliveriesPerDay(deliveries, range) });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+adminRouter.get("/analytics/durations", validate({ query: analyticsRange }), async (req, res) => {
+  try {
+    const range = summaryRange(req.query);
+    const deliveries = await analyticsDeliveries(range);
+    const assignments = await analyticsAssignments(deliveries);
+    return res.json({ ...range, ...stageDurations(deliveries, assignments) });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+adminRouter.get("/analytics/riders", validate({
+  query: { ...analyticsRange, limit: v.int({ min: 1, max: 100, default: 20 }) },
+}), async (req, res) => {
+  try {
+    const range = summaryRange(req.query);
+    const deliveries = await analyticsDeliveries(range);
+    const riders = riderPerformance(await analyticsAssignments(deliveries)).slice(0, req.query.limit);
+
+    const users = riders.length
+      ? await db.getAll(...riders.map(r => db.collection(USER_COL).doc(String(r.rider_id))))
+      : [];
+    const names = new Map(users.filter(u => u.exists).map(u => [Number(u.id), u.data().name ?? null]));
+    const items = riders.map(r => ({ rider_id: r.rider_id, name: names.get(r.rider_id) ?? null, ...r }));
+
+    return res.json({ ...range, count: items.length, items });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+adminRouter.get("/analytics/pickup-areas", validate({
+  query: {
+    ...analyticsRange,
+    precision: v.int({ min: 3, max: 8, default: 5 }),
+    limit: v.int({ min: 1, max: 100, default: 10 }),
+  },
+}), async (req, res) => {
+  try {
+    const range = summaryRange(req.query);
+    const deliveries = await analyticsDeliveries(range);
+
+    // จุดรับของ ณ ตอนสร้างงาน (ไม่เปลี่ยนตามการแก้ / ลบที่อยู่ทีหลัง)
+    const { precision, limit } = req.query;
+    const items = busiestAreas(deliveries.map(d => d.pickup_geohash), { precision, limit });
+    return res.json({ ...range, precision, items });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ------------------------------ Sent notifications ------------------------------
+GET /admin/notifications/sent     -> { driver, count, items: [{ tokens, title, body, data, at }] }   (ใหม่สุดก่อน)
+DELETE /admin/notifications/sent  -> { ok: true }
+- ใช้ได้เฉพาะ NOTIFIER_DRIVER=memory (dev / ทดสอบ) — fcm → 404 NOTIFIER_NOT_RECORDING
+--------------------------------------------------------------------------------- */
+function recordingNotifier() {
+  if (notifier.driver !== "memory") {
+    throw new NotFoundError("NOTIFIER_NOT_RECORDING", "sent notifications are only recorded by the memory notifier", {
+      driver: notifier.driver,
+    });
+  }
+  return notifier;
+}
+
+adminRouter.get("/notifications/sent", (_req, res) => {
+  try {
+    const { driver, sent } = recordingNotifier();
+    const items = [...sent].reverse();
+    return res.json({ driver, count: items.length, items });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+adminRouter.delete("/notifications/sent", (_req, res) => {
+  try {
+    recordingNotifier().clear();
+    return res.json({ ok: true });
+  } catch (e) {
+    return sendError(res, e);
+  }
+});
+
+/* ------------------------------- Error fallback -------------------------------
+   error ที่หลุดจาก middleware (schema ไม่ผ่าน / JSON เสีย / body ใหญ่เกิน 1mb / อัปโหลดผิด)
+   → envelope เดียวกับ route (lib/errors.js) แทนหน้า HTML ของ express
+----------------------------------------------------------------------------------- */
+app.use((_req, _res, next) => next(new NotFoundError("ROUTE_NOT_FOUND", "route not found")));
+app.use(errorHandler);
+
 //* ------------------------------- Start server ------------------------------- */
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`Server listening on :${PORT}`);
+  const { source } = notifierDriverFromEnv();
+  console.log(`Notifier driver: ${notifier.driver} (${source})`);
 });
\ No newline at end of file
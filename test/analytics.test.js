@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { busiestAreas, durationStats } from "../lib/analytics.js";
+
+test("busiestAreas groups pickup geohashes by cell and skips missing ones", () => {
+  const items = busiestAreas(["w4rqnzjge9", "w4rqnzbbbb", "w4rqp00000", null, "w4"], { precision: 6, limit: 10 });
+  assert.deepEqual(items.map(i => [i.geohash, i.deliveries]), [["w4rqnz", 2], ["w4rqp0", 1]]);
+  assert.ok(Math.abs(items[0].lat - 13.75) < 0.01 && Math.abs(items[0].lng - 100.5) < 0.01);
+});
+
+test("busiestAreas breaks ties by geohash and applies the limit", () => {
+  const items = busiestAreas(["e", "c", "d", "e"].map(c => `w4rq${c}`), { precision: 5, limit: 2 });
+  assert.deepEqual(items.map(i => [i.geohash, i.deliveries]), [["w4rqe", 2], ["w4rqc", 1]]);
+});
+
+test("durationStats reports minutes and ignores invalid samples", () => {
+  assert.deepEqual(durationStats([]), { count: 0, avg_minutes: null, median_minutes: null, p90_minutes: null });
+  const min = 60_000;
+  assert.deepEqual(durationStats([10 * min, 20 * min, 30 * min, -1, NaN]), {
+    count: 3, avg_minutes: 20, median_minutes: 20, p90_minutes: 30,
+  });
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { PIN_MAX_ATTEMPTS, PIN_PATTERN, checkPinAttempt, generatePin } from "../lib/deliveryPin.js";
+
+test("generatePin returns a zero-padded numeric PIN", () => {
+  for (let i = 0; i < 50; i++) assert.match(generatePin(), PIN_PATTERN);
+});
+
+test("a correct PIN does not count as an attempt", () => {
+  assert.deepEqual(checkPinAttempt({ pin: "0420", attempts: 2 }, "0420"), {
+    ok: true, attempts: 2, locked: false, attempts_left: PIN_MAX_ATTEMPTS - 2,
+  });
+});
+
+test("wrong PINs count up and lock on the last attempt", () => {
+  let stored = { pin: "0420", attempts: 0, locked: false };
+  for (let i = 1; i < PIN_MAX_ATTEMPTS; i++) {
+    const r = checkPinAttempt(stored, "9999");
+    assert.equal(r.ok, false);
+    assert.equal(r.locked, false);
+    assert.equal(r.attempts_left, PIN_MAX_ATTEMPTS - i);
+    stored = { ...stored, attempts: r.attempts };
+  }
+  const last = checkPinAttempt(stored, "9999");
+  assert.deepEqual(last, { ok: false, attempts: PIN_MAX_ATTEMPTS, locked: true, attempts_left: 0 });
+});
+
+test("a locked PIN rejects even the correct value", () => {
+  const r = checkPinAttempt({ pin: "0420", attempts: PIN_MAX_ATTEMPTS, locked: true }, "0420");
+  assert.equal(r.ok, false);
+  assert.equal(r.locked, true);
+});
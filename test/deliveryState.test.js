@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { STATUS, assertTransition, canTransition, historyEntry } from "../lib/deliveryState.js";
+
+test("rider moves a job forward along the happy path", () => {
+  assert.ok(canTransition(STATUS.WAITING, STATUS.ACCEPT, "rider"));
+  assert.ok(canTransition(STATUS.ACCEPT, STATUS.TRANSPORTING, "rider"));
+  assert.ok(canTransition(STATUS.TRANSPORTING, STATUS.FINISH, "rider"));
+  assert.ok(canTransition(STATUS.ACCEPT, STATUS.WAITING, "rider"));   // release
+});
+
+test("only the sender creates and cancels", () => {
+  assert.ok(canTransition(null, STATUS.WAITING, "sender"));
+  assert.ok(canTransition(STATUS.WAITING, STATUS.CANCELLED, "sender"));
+  assert.equal(canTransition(STATUS.WAITING, STATUS.CANCELLED, "rider"), false);
+  assert.equal(canTransition(STATUS.ACCEPT, STATUS.CANCELLED, "sender"), false);
+});
+
+test("admin may move to any known status but not to an unknown one", () => {
+  assert.ok(canTransition(STATUS.FINISH, STATUS.WAITING, "admin"));
+  assert.equal(canTransition(STATUS.FINISH, "lost", "admin"), false);
+});
+
+test("assertTransition reports the reason with the documented codes", () => {
+  assert.throws(() => assertTransition(STATUS.WAITING, "lost", "rider"), { status: 400, code: "UNKNOWN_STATUS" });
+  assert.throws(() => assertTransition(STATUS.WAITING, STATUS.ACCEPT, "sender"), { status: 403, code: "STATUS_CHANGE_FORBIDDEN" });
+  assert.throws(() => assertTransition(STATUS.ACCEPT, STATUS.ACCEPT, "rider"), { status: 409, code: "DELIVERY_NOT_WAITING" });
+  assert.throws(() => assertTransition(STATUS.FINISH, STATUS.FINISH, "rider"), { status: 409, code: "DELIVERY_NOT_TRANSPORTING" });
+  assert.throws(() => assertTransition(STATUS.FINISH, STATUS.WAITING, "rider"), { status: 409, code: "DELIVERY_NOT_ACCEPT" });
+  assert.doesNotThrow(() => assertTransition(STATUS.TRANSPORTING, STATUS.FINISH, "rider"));
+});
+
+test("historyEntry normalizes optional fields", () => {
+  const e = historyEntry({ delivery_id: "7", from: undefined, to: STATUS.WAITING, actor: { user_id: 1, kind: "sender" }, lat: "13.5", timestamp: 0 });
+  assert.deepEqual(e, {
+    delivery_id: 7, from: null, to: STATUS.WAITING, actor_id: 1, actor_kind: "sender",
+    lat: 13.5, lng: null, reason: null, createdAt: 0,
+  });
+});
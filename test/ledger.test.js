@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ENTRY_KIND, addDays, finishEntries, localDate, periodStart, summarizeByPeriod } from "../lib/ledger.js";
+
+const delivery = { delivery_id: 9, user_id_sender: 1, price: { currency: "THB", total: 100 }, cod_amount: 590 };
+
+test("finishEntries splits the fee between platform and rider and records COD", () => {
+  const entries = finishEntries({ delivery, rider_id: 3, commission_rate: 0.15 });
+  assert.deepEqual(entries.map(e => [e.id, e.account, e.user_id, e.amount]), [
+    ["9-delivery_fee", "sender", 1, -100],
+    ["9-commission", "platform", null, 15],
+    ["9-rider_earning", "rider", 3, 85],
+    ["9-cod_collected", "rider", 3, -590],
+    ["9-cod_receivable", "sender", 1, 590],
+  ]);
+});
+
+test("finishEntries skips the fee for deliveries without a price", () => {
+  const entries = finishEntries({ delivery: { ...delivery, price: null, cod_amount: 0 }, rider_id: 3 });
+  assert.deepEqual(entries, []);
+});
+
+test("entry ids are stable so a repeated finish overwrites instead of duplicating", () => {
+  const a = finishEntries({ delivery, rider_id: 3 }).map(e => e.id);
+  const b = finishEntries({ delivery, rider_id: 4 }).map(e => e.id);
+  assert.deepEqual(a, b);
+});
+
+test("local dates and periods", () => {
+  assert.equal(localDate(Date.parse("2026-01-01T18:00:00Z"), 7 * 60), "2026-01-02");
+  assert.equal(periodStart("2026-10-18", "week"), "2026-10-12");   // อาทิตย์ → จันทร์ก่อนหน้า
+  assert.equal(periodStart("2026-10-19", "week"), "2026-10-19");
+  assert.equal(periodStart("2026-10-18", "day"), "2026-10-18");
+  assert.equal(addDays("2026-02-28", 1), "2026-03-01");
+});
+
+test("summarizeByPeriod buckets entries by local day inside the range", () => {
+  const at = (iso) => Date.parse(iso);
+  const entries = [
+    { kind: ENTRY_KIND.RIDER_EARNING, amount: 85, delivery_id: 1, createdAt: at("2026-10-18T03:00:00Z") },
+    { kind: ENTRY_KIND.COD_COLLECTED, amount: -590, delivery_id: 1, createdAt: at("2026-10-18T03:00:00Z") },
+    { kind: ENTRY_KIND.RIDER_EARNING, amount: 40.5, delivery_id: 2, createdAt: at("2026-10-18T20:00:00Z") },   // 19 ตามเวลาท้องถิ่น
+    { kind: ENTRY_KIND.RIDER_EARNING, amount: 10, delivery_id: 3, createdAt: at("2026-10-25T03:00:00Z") },     // นอกช่วง
+    { kind: ENTRY_KIND.COMMISSION, amount: 15, delivery_id: 1, createdAt: at("2026-10-18T03:00:00Z") },        // ไม่ได้ขอ
+  ];
+  const kinds = [ENTRY_KIND.RIDER_EARNING, ENTRY_KIND.COD_COLLECTED];
+  const daily = summarizeByPeriod(entries, { period: "day", from: "2026-10-18", to: "2026-10-19", kinds, utcOffsetMin: 420 });
+  assert.deepEqual(daily.totals, { deliveries: 2, rider_earning: 125.5, cod_collected: 590 });
+  assert.deepEqual(daily.items.map(i => [i.period_start, i.deliveries, i.rider_earning]), [
+    ["2026-10-19", 1, 40.5],
+    ["2026-10-18", 1, 85],
+  ]);
+
+  const weekly = summarizeByPeriod(entries, { period: "week", from: "2026-10-18", to: "2026-10-19", kinds, utcOffsetMin: 420 });
+  assert.deepEqual(weekly.items.map(i => i.period_start), ["2026-10-19", "2026-10-12"]);
+});
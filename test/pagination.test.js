@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import { decodeCursor, encodeCursor, paginateArray, paginateQuery, parsePageParams } from "../lib/pagination.js";
+
+// query ปลอมของ Firestore — พอสำหรับ orderBy(updatedAt desc, id desc) + startAfter + limit
+function fakeQuery(rows, { indexed = true, reads = { count: 0 } } = {}) {
+  const docs = rows.map(({ id, updatedAt }) => ({
+    id,
+    get: (field) => (field === "updatedAt" && updatedAt != null ? admin.firestore.Timestamp.fromMillis(updatedAt) : undefined),
+  }));
+  const make = (state) => ({
+    orderBy() {
+      if (!indexed) throw Object.assign(new Error("FAILED_PRECONDITION: requires an index"), { code: 9 });
+      return make({ ...state, ordered: true });
+    },
+    startAfter(ts, id) { return make({ ...state, after: { ms: ts.toMillis(), id } }); },
+    limit(n) { return make({ ...state, limit: n }); },
+    async get() {
+      let out = docs;
+      if (state.ordered) {
+        out = docs
+          .filter(d => d.get("updatedAt"))
+          .sort((a, b) => b.get("updatedAt").toMillis() - a.get("updatedAt").toMillis() || (a.id < b.id ? 1 : -1));
+        if (state.after) {
+          const { ms, id } = state.after;
+          out = out.filter(d => d.get("updatedAt").toMillis() < ms || (d.get("updatedAt").toMillis() === ms && d.id < id));
+        }
+      }
+      if (state.limit != null) out = out.slice(0, state.limit);
+      reads.count += out.length;
+      return { docs: out, size: out.length };
+    },
+  });
+  return make({});
+}
+
+async function allPages(query, opts) {
+  const ids = [];
+  let cursor = null;
+  for (;;) {
+    const page = await paginateQuery(query, { ...opts, cursor });
+    ids.push(...page.docs.map(d => d.id));
+    if (!page.next_cursor) return ids;
+    cursor = decodeCursor(page.next_cursor);
+  }
+}
+
+test("cursors round-trip through encode / decode", () => {
+  for (const pos of [{ o: 0 }, { o: 40 }, { s: 1700000000, n: 5, id: "12" }, { s: null, n: null, id: "3" }]) {
+    assert.deepEqual(decodeCursor(encodeCursor(pos)), pos);
+  }
+});
+
+test("malformed cursors are rejected with 400 VALIDATION_FAILED", () => {
+  const bad = ["not base64 json", encodeCursor({ o: -1 }), encodeCursor({ s: 1.5, n: 0, id: "1" }),
+    encodeCursor({ s: 1, n: null, id: "1" }), encodeCursor({ s: 1, n: 0, id: "" }), encodeCursor([1, 2])];
+  for (const cursor of bad) {
+    assert.throws(() => decodeCursor(cursor), { status: 400, code: "VALIDATION_FAILED" });
+  }
+});
+
+test("parsePageParams applies the default and maximum limit", () => {
+  assert.deepEqual(parsePageParams({}), { limit: 20, cursor: null });
+  assert.equal(parsePageParams({ limit: "500" }).limit, 100);
+  assert.throws(() => parsePageParams({ limit: "0" }), { code: "VALIDATION_FAILED" });
+});
+
+test("paginateArray pages by offset and rejects key cursors", () => {
+  const items = [1, 2, 3, 4, 5];
+  const first = paginateArray(items, { limit: 2 });
+  assert.deepEqual(first.items, [1, 2]);
+  const second = paginateArray(items, { limit: 2, cursor: decodeCursor(first.next_cursor) });
+  assert.deepEqual(second.items, [3, 4]);
+  assert.equal(paginateArray(items, { limit: 5 }).next_cursor, null);
+  assert.throws(() => paginateArray(items, { limit: 2, cursor: { s: 1, n: 0, id: "1" } }), { code: "VALIDATION_FAILED" });
+});
+
+test("indexed and in-memory modes return the same order across pages", async () => {
+  const rows = [
+    { id: "1", updatedAt: 1000 }, { id: "2", updatedAt: 3000 }, { id: "3", updatedAt: 3000 },
+    { id: "4", updatedAt: 2000 }, { id: "5", updatedAt: 5000 },
+  ];
+  const expected = ["5", "3", "2", "4", "1"];
+  assert.deepEqual(await allPages(fakeQuery(rows), { limit: 2 }), expected);
+  assert.deepEqual(await allPages(fakeQuery(rows, { indexed: false }), { limit: 2 }), expected);
+});
+
+test("the indexed last page reads only about one page of documents", async () => {
+  const rows = Array.from({ length: 200 }, (_, i) => ({ id: String(1000 + i), updatedAt: i < 195 ? 1000 + i : null }));
+  const reads = { count: 0 };
+  const query = fakeQuery(rows, { reads });
+  const lastFull = (await paginateQuery(query, { limit: 10, cursor: { s: 1, n: 4_000_000, id: "1004" } }));
+  assert.deepEqual(lastFull.docs.map(d => d.id), ["1003", "1002", "1001", "1000"]);
+  assert.equal(lastFull.next_cursor, null);
+  assert.ok(reads.count <= 11, `read ${reads.count} documents`);
+});
+
+test("filter keeps reading batches until the page is full", async () => {
+  const rows = Array.from({ length: 30 }, (_, i) => ({ id: String(100 + i), updatedAt: 1000 + i }));
+  const page = await paginateQuery(fakeQuery(rows), { limit: 3, filter: (d) => Number(d.id) % 5 === 0 });
+  assert.deepEqual(page.docs.map(d => d.id), ["125", "120", "115"]);
+  assert.ok(page.next_cursor);
+});
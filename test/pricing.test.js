@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PRICING_RULES, isNightTime, loadPricingRules, quotePrice, smallestVehicleFor } from "../lib/pricing.js";
+
+const NOON_LOCAL = new Date("2026-01-01T05:00:00Z");        // 12:00 UTC+7
+const NIGHT_LOCAL = new Date("2026-01-01T16:00:00Z");       // 23:00 UTC+7
+
+test("smallestVehicleFor picks the smallest vehicle that can carry the parcel", () => {
+  assert.equal(smallestVehicleFor({ weight_kg: 3, size_class: "small" }), "bicycle");
+  assert.equal(smallestVehicleFor({ weight_kg: 10, size_class: "small" }), "motorbike");
+  assert.equal(smallestVehicleFor({ weight_kg: 1, size_class: "large" }), "car");
+  assert.equal(smallestVehicleFor({ weight_kg: 5000, size_class: "small" }), null);
+  assert.equal(smallestVehicleFor({}), "bicycle");                       // ไม่ระบุ = รถอะไรก็ได้
+});
+
+test("quotePrice adds distance, size and extra item charges", () => {
+  const p = quotePrice({ distance_km: 10, amount: 2, weight_kg: 10, size_class: "medium", at: NOON_LOCAL });
+  assert.deepEqual(p, {
+    currency: "THB",
+    car_type: "motorbike",
+    distance_km: 13,
+    base_fare: 25,
+    distance_fare: 104,
+    minimum_applied: false,
+    size_surcharge: 10,
+    item_surcharge: 5,
+    night_surcharge: 0,
+    total: 144,
+  });
+});
+
+test("quotePrice applies the vehicle minimum and the night multiplier", () => {
+  const short = quotePrice({ distance_km: 0.5, weight_kg: 1, size_class: "small", at: NOON_LOCAL });
+  assert.equal(short.minimum_applied, true);
+  assert.equal(short.total, 30);
+
+  const night = quotePrice({ distance_km: 10, amount: 2, weight_kg: 10, size_class: "medium", at: NIGHT_LOCAL });
+  assert.equal(night.night_surcharge, 28.8);
+  assert.equal(night.total, 173);                                          // ปัดขึ้น
+});
+
+test("quotePrice returns null when no vehicle can carry the parcel", () => {
+  assert.equal(quotePrice({ distance_km: 1, weight_kg: 5000, size_class: "small", at: NOON_LOCAL }), null);
+});
+
+test("isNightTime handles windows that wrap past midnight", () => {
+  const night = DEFAULT_PRICING_RULES.night;
+  assert.equal(isNightTime(NOON_LOCAL, night), false);
+  assert.equal(isNightTime(NIGHT_LOCAL, night), true);
+  assert.equal(isNightTime(new Date("2026-01-01T22:30:00Z"), night), true);   // 05:30 local
+  assert.equal(isNightTime(new Date("2026-01-01T10:00:00Z"), { start_hour: 9, end_hour: 17 }), true);
+});
+
+test("loadPricingRules merges PRICING_RULES over the defaults", () => {
+  assert.equal(loadPricingRules({}), DEFAULT_PRICING_RULES);
+  const rules = loadPricingRules({ PRICING_RULES: '{"vehicles":{"motorbike":{"per_km":9}},"night":{"multiplier":1.3}}' });
+  assert.equal(rules.vehicles.motorbike.per_km, 9);
+  assert.equal(rules.vehicles.motorbike.base_fare, 25);
+  assert.equal(rules.night.multiplier, 1.3);
+  assert.equal(rules.night.start_hour, 22);
+  assert.throws(() => loadPricingRules({ PRICING_RULES: "{" }), /PRICING_RULES is not valid JSON/);
+});
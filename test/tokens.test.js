@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { issueTokens, issueUploadToken, verifyToken } from "../lib/tokens.js";
+
+process.env.AUTH_TOKEN_SECRET ||= "test-secret";
+
+test("issued tokens carry the user's token_version", () => {
+  const t = issueTokens({ user_id: 7, role: 1, token_version: 3 });
+  const claims = verifyToken(t.access_token, "access");
+  assert.equal(claims.sub, "7");
+  assert.equal(claims.role, 1);
+  assert.equal(claims.ver, 3);
+  assert.equal(verifyToken(t.refresh_token, "refresh").ver, 3);
+  assert.equal(verifyToken(issueTokens({ user_id: 7, role: 0 }).access_token, "access").ver, 0);
+});
+
+test("verifyToken rejects the wrong type, a bad signature and garbage", () => {
+  const { access_token } = issueTokens({ user_id: 1, role: 0 });
+  assert.throws(() => verifyToken(access_token, "refresh"), { status: 401, code: "INVALID_TOKEN" });
+  assert.throws(() => verifyToken(issueUploadToken(5), "access"), { code: "INVALID_TOKEN" });
+  assert.throws(() => verifyToken(`${access_token.slice(0, -2)}xx`, "access"), { code: "INVALID_TOKEN" });
+  assert.throws(() => verifyToken("a.b", "access"), { code: "INVALID_TOKEN" });
+});
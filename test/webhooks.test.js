@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { checkWebhookTarget, isBlockedAddress, retryDelayMs, signPayload } from "../lib/webhooks.js";
+
+test("non-public IPv4 addresses are blocked", () => {
+  for (const ip of ["127.0.0.1", "10.1.2.3", "172.16.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0", "224.0.0.1"]) {
+    assert.equal(isBlockedAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "1.1.1.1", "172.32.0.1"]) assert.equal(isBlockedAddress(ip), false, ip);
+});
+
+test("non-public IPv6 addresses are blocked", () => {
+  for (const ip of ["::1", "::", "::ffff:127.0.0.1", "64:ff9b::7f00:1", "2002:7f00:1::", "2002:a9fe:a9fe::1",
+    "2001:0:4136:e378:8000:63bf:3fff:fdd2", "fd00::1", "fe80::1", "ff02::1"]) {
+    assert.equal(isBlockedAddress(ip), true, ip);
+  }
+  assert.equal(isBlockedAddress("2606:4700:4700::1111"), false);
+  assert.equal(isBlockedAddress("not-an-ip"), true);
+});
+
+test("checkWebhookTarget rejects bad URLs, ports and private literals", async () => {
+  assert.equal(await checkWebhookTarget("nope"), "is not a valid URL");
+  assert.equal(await checkWebhookTarget("ftp://8.8.8.8/x"), "must be an http(s) URL");
+  assert.equal(await checkWebhookTarget("https://u:p@8.8.8.8/x"), "must not contain credentials");
+  assert.match(await checkWebhookTarget("https://8.8.8.8:8443/x"), /^port 8443 is not allowed/);
+  assert.match(await checkWebhookTarget("http://8.8.8.8/x"), /^port 80 is not allowed/);
+  assert.match(await checkWebhookTarget("https://127.0.0.1/x"), /is not publicly routable/);
+  assert.match(await checkWebhookTarget("https://[::1]/x"), /is not publicly routable/);
+  assert.match(await checkWebhookTarget("https://[2002:7f00:1::]/x"), /is not publicly routable/);
+  assert.match(await checkWebhookTarget("https://localhost/x"), /resolves to non-public address/);
+  assert.equal(await checkWebhookTarget("https://8.8.8.8/hook"), null);
+});
+
+test("signPayload signs '<t>.<body>' with HMAC-SHA256", () => {
+  const sig = signPayload("whsec_x", '{"a":1}', 1700000000);
+  const v1 = crypto.createHmac("sha256", "whsec_x").update('1700000000.{"a":1}').digest("hex");
+  assert.equal(sig, `t=1700000000,v1=${v1}`);
+});
+
+test("retryDelayMs backs off exponentially and stops at maxAttempts", () => {
+  const opts = { maxAttempts: 4, baseMs: 1000 };
+  assert.deepEqual([1, 2, 3].map(n => retryDelayMs(n, opts)), [1000, 2000, 4000]);
+  assert.equal(retryDelayMs(4, opts), null);
+  assert.equal(retryDelayMs(30, { maxAttempts: 50, baseMs: 1000 }), 6 * 60 * 60 * 1000);
+});